@@ -12,44 +12,133 @@
  */
 
 import utils from './lib/utils'
-import _submitHashes from './lib/submit'
+import _submitHashes, { submitHashesSettled as _submitHashesSettled } from './lib/submit'
 import _submitFileHashes from './lib/submitFiles'
+import _submitDirectory from './lib/submitDirectory'
+import _submitData from './lib/submitData'
+import { submitAggregate as _submitAggregate, stitchProofs as _stitchProofs } from './lib/aggregate'
 import _getProofs from './lib/get'
+import _waitForProofs from './lib/wait'
+import _watchProofs from './lib/watch'
+import _consolidateProofs from './lib/consolidate'
+import _createProofStore, {
+  createMemoryAdapter as _createMemoryAdapter,
+  createFileAdapter as _createFileAdapter
+} from './lib/store'
+import _convertProof, { convertProofs as _convertProofs } from './lib/convert'
 import _verifyProofs from './lib/verify'
+import {
+  createNodeResolver as _createNodeResolver,
+  createBitcoinResolver as _createBitcoinResolver,
+  createQuorumResolver as _createQuorumResolver
+} from './lib/resolvers'
+import {
+  createHeadersFileSource as _createHeadersFileSource,
+  createBitcoindSource as _createBitcoindSource,
+  createEsploraSource as _createEsploraSource
+} from './lib/headers'
+import _verifyBitcoinAnchors, { verifyBitcoinTxs as _verifyBitcoinTxs } from './lib/verifyBitcoin'
+import _verifyData, { verifyFiles as _verifyFiles } from './lib/verifyData'
 import _evaluateProofs from './lib/evaluate'
+import _traceProofs, { traceProof as _traceProof } from './lib/trace'
 
-const { flattenBtcBranches, normalizeProofs, parseProofs, getCores: _getCores, getNodes: _getNodes } = utils
+const {
+  getBtcTxs,
+  normalizeProofs,
+  parseProofs,
+  proofToObject,
+  getCores: _getCores,
+  getNodes: _getNodes,
+  getProofTime: _getProofTime,
+  getProofExpiry: _getProofExpiry
+} = utils
 
 /**
  * retrieve raw btc tx objects for corresponding proofs
  * @param {Array} proofs - An Array of String, or Object proofs from getProofs(), to be evaluated. Proofs can be in any of the supported JSON-LD or Binary formats.
- * @returns {Object[]} - array of objects with relevant hash data
+ * @returns {Object[]} - array of objects with relevant hash data, one for each proof. Proofs not yet anchored
+ * to Bitcoin have the status 'no_btc_anchor', see getBtcTxs()
  */
 
 export function getProofTxs(proofs) {
   let normalizedProofs = normalizeProofs(proofs)
-  let parsedProofs = parseProofs(normalizedProofs)
-  let flatProofs = flattenBtcBranches(parsedProofs)
+  // Validate the proofs before finding their transactions
+  parseProofs(normalizedProofs)
+  let flatProofs = getBtcTxs(normalizedProofs.map(proofToObject))
   return flatProofs
 }
 
 // Need this to keep expected import structure for backwards compatibility
 // with downstream dependencies
 export const submitHashes = _submitHashes
+export const submitHashesSettled = _submitHashesSettled
 export const submitFileHashes = _submitFileHashes
+export const submitDirectory = _submitDirectory
+export const submitData = _submitData
+export const submitAggregate = _submitAggregate
+export const stitchProofs = _stitchProofs
 export const getProofs = _getProofs
+export const waitForProofs = _waitForProofs
+export const watchProofs = _watchProofs
+export const consolidateProofs = _consolidateProofs
+export const createProofStore = _createProofStore
+export const createMemoryAdapter = _createMemoryAdapter
+export const createFileAdapter = _createFileAdapter
+export const convertProof = _convertProof
+export const convertProofs = _convertProofs
 export const verifyProofs = _verifyProofs
+export const createNodeResolver = _createNodeResolver
+export const createBitcoinResolver = _createBitcoinResolver
+export const createQuorumResolver = _createQuorumResolver
+export const createHeadersFileSource = _createHeadersFileSource
+export const createBitcoindSource = _createBitcoindSource
+export const createEsploraSource = _createEsploraSource
+export const verifyBitcoinAnchors = _verifyBitcoinAnchors
+export const verifyBitcoinTxs = _verifyBitcoinTxs
+export const verifyData = _verifyData
+export const verifyFiles = _verifyFiles
 export const evaluateProofs = _evaluateProofs
+export const traceProof = _traceProof
+export const traceProofs = _traceProofs
 export const getNodes = _getNodes
+export const getProofTime = _getProofTime
+export const getProofExpiry = _getProofExpiry
 export const getCores = _getCores
 
 export default {
   getCores,
   getNodes,
   submitHashes,
+  submitHashesSettled,
   submitFileHashes,
+  submitDirectory,
+  submitData,
+  submitAggregate,
+  stitchProofs,
   getProofs,
+  waitForProofs,
+  watchProofs,
+  consolidateProofs,
+  createProofStore,
+  createMemoryAdapter,
+  createFileAdapter,
+  convertProof,
+  convertProofs,
   verifyProofs,
+  createNodeResolver,
+  createBitcoinResolver,
+  createQuorumResolver,
+  createHeadersFileSource,
+  createBitcoindSource,
+  createEsploraSource,
+  verifyBitcoinAnchors,
+  verifyBitcoinTxs,
+  verifyData,
+  verifyFiles,
   evaluateProofs,
+  traceProof,
+  traceProofs,
+  getProofTime,
+  getProofExpiry,
   getProofTxs
 }
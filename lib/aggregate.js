@@ -0,0 +1,68 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { map, omit } from 'lodash'
+
+import * as submit from './submit'
+import { validateHashes } from './utils/helpers'
+import { buildMerkleTree, getMerkleRoot, getMerklePathOps } from './utils/merkle'
+import { proofToObject } from './utils/proofs'
+
+/**
+ * Build a local Merkle tree over a set of hashes and submit only its root to one or more Nodes.
+ * The leaves and parents of the tree are hashed with different prefixes, see buildMerkleTree().
+ * Keep the returned `hashes` so a proof for each of them can later be created with stitchProofs().
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form. There is no limit to the number of hashes.
+ * @param {Array<String>} uris - An Array of String URI's. The root will be submitted to each Node URI provided. If none provided three will be chosen at random using service discovery.
+ * @param {Object} options - [Optional] `algorithm` the hashes were made with, checked as for submitHashes. Other options are passed on to submitHashes.
+ * @return {{root: String, hashes: Array<String>, proofHandles: Array<Object>}} The Merkle root, the hashes it was built from,
+ * and the proof handles for the root.
+ */
+export async function submitAggregate(hashes, uris, options = {}) {
+  validateHashes(hashes, { algorithm: options.algorithm })
+
+  let root = getMerkleRoot(buildMerkleTree(hashes))
+  // the root is always a SHA-256 hash, whatever algorithm the aggregated hashes were made with
+  let proofHandles = await submit.submitHashes([root], uris, omit(options, ['algorithm']))
+
+  return { root, hashes, proofHandles }
+}
+
+/**
+ * Create a Chainpoint proof for each hash in an aggregate from the proof of its Merkle root.
+ * The local Merkle path operations for each hash are prepended to every branch of the root's proof,
+ * so the resulting proofs can be passed to evaluateProofs() or verifyProofs() like any other proof.
+ * @param {Array<String>} hashes - The same Array of hashes, in the same order, that was passed to submitAggregate()
+ * @param {Object|String|Buffer} rootProof - The proof for the Merkle root in any supported format, e.g. an entry from getProofs()
+ * @return {Array<Object>} An Array of Chainpoint proof Objects, one for each hash and in the same order
+ */
+export function stitchProofs(hashes, rootProof) {
+  validateHashes(hashes)
+
+  let levels = buildMerkleTree(hashes)
+  let root = getMerkleRoot(levels)
+  let proof = proofToObject(rootProof)
+  if (proof.hash.toLowerCase() !== root)
+    throw new Error(`rootProof is for hash ${proof.hash}, expected the aggregate root ${root}`)
+
+  return map(hashes, (hash, index) => {
+    let pathOps = getMerklePathOps(levels, index)
+    return {
+      ...proof,
+      hash,
+      branches: map(proof.branches, branch => ({ ...branch, ops: [...pathOps, ...branch.ops] }))
+    }
+  })
+}
+
+export default submitAggregate
@@ -0,0 +1,128 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { every, filter, forEach, has, isObject, keyBy, map, reduce, some } from 'lodash'
+
+import { testArrayArg } from './utils/helpers'
+import { hasAnchor, proofToObject, parseProofs, flattenProofs } from './utils/proofs'
+
+/**
+ * Consolidate the results of getProofs() for hashes submitted to more than one Node, choosing the most complete
+ * proof for each hash. Results are grouped by the `groupId` shared by the handles for the same hash, and the proof
+ * anchored to the most blockchains is chosen, with a btc anchor ranked ahead of a cal anchor.
+ *
+ * A group is flagged as a `conflict` when any of its proofs is for a different hash than the one submitted,
+ * could not be read, or has an anchor of the same type as the chosen proof with a different anchor_id or
+ * expected_value, as happens when a Node returns a forged or corrupted proof. Conflicting proofs are listed in
+ * `conflictingProofs` and are never chosen. When proofs disagree about their anchors the most complete one is
+ * still chosen, so it should be verified before it is relied on.
+ *
+ * @param {Array<Object>} proofs - An Array of results from getProofs()
+ * @return {Array<{groupId: String, hash: String, proof: Object, proofs: Array<Object>, conflict: Boolean, conflictingProofs: Array<Object>}>}
+ * An Array with an Object for each group, in the order each group first appears in `proofs`. `proof` is the chosen
+ * getProofs() result, or null if no proof is available yet, and `proofs` has every result in the group.
+ */
+function consolidateProofs(proofs) {
+  testArrayArg(proofs)
+  if (!every(proofs, proof => isObject(proof) && has(proof, 'proofId')))
+    throw new Error('proofs arg must be an Array of results from getProofs()')
+
+  // Results without a groupId, such as from handles created by hand, are each their own group
+  let groups = {}
+  let groupIds = []
+  forEach(proofs, proof => {
+    let groupId = proof.groupId || proof.proofId
+    if (!has(groups, groupId)) {
+      groups[groupId] = []
+      groupIds.push(groupId)
+    }
+    groups[groupId].push(proof)
+  })
+
+  return map(groupIds, groupId => {
+    let groupProofs = groups[groupId]
+    let available = filter(groupProofs, proof => proof.proof)
+
+    // Read the hash and anchors of each proof, so the hash can be checked against the hash that was submitted
+    let read = map(available, proof => readProof(proof.proof))
+    let submitted = groupProofs[0].hash || (read[0] && read[0].hash)
+    let hash = submitted ? submitted.toLowerCase() : null
+    let matches = map(read, proof => proof !== null && proof.hash === hash)
+    let candidates = filter(available, (proof, i) => matches[i])
+    let best = reduce(candidates, (best, proof) => (best && compareProofs(best, proof) >= 0 ? best : proof), null)
+
+    // Every proof for the hash should agree with the chosen proof about the anchors they share
+    let bestAnchors = best ? read[available.indexOf(best)].anchors : []
+    let conflictingProofs = filter(available, (proof, i) => !matches[i] || !anchorsAgree(bestAnchors, read[i].anchors))
+
+    return {
+      groupId: groupProofs[0].groupId || null,
+      hash,
+      proof: best,
+      proofs: groupProofs,
+      conflict: conflictingProofs.length > 0,
+      conflictingProofs
+    }
+  })
+}
+
+/**
+ * Get the hash a proof is for and the anchors it evaluates to
+ * @param {String} proof - A proof in any supported format
+ * @returns {{hash: String, anchors: Array<Object>}} The lower case hash and the flattened anchors, or null if
+ * the proof could not be read
+ */
+function readProof(proof) {
+  try {
+    let [parsedProof] = parseProofs([proofToObject(proof)])
+    return { hash: parsedProof.hash.toLowerCase(), anchors: flattenProofs([parsedProof]) }
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Check that two proofs for the same hash agree about the anchors of each type they both have
+ * @param {Array<Object>} a - The flattened anchors of a proof
+ * @param {Array<Object>} b - The flattened anchors of another proof
+ * @returns {bool} false if an anchor type is in both with a different anchor_id or expected_value, otherwise true
+ */
+function anchorsAgree(a, b) {
+  let anchorsByType = keyBy(a, 'type')
+  return !some(b, anchor => {
+    let other = anchorsByType[anchor.type]
+    return other && (other.anchor_id !== anchor.anchor_id || other.expected_value !== anchor.expected_value)
+  })
+}
+
+/**
+ * Compare the completeness of two getProofs() results
+ * @param {Object} a - A getProofs() result
+ * @param {Object} b - Another getProofs() result
+ * @returns {Number} > 0 if `a` is more complete, < 0 if `b` is, or 0 if they are equally complete
+ */
+function compareProofs(a, b) {
+  let rank = ({ anchorsComplete = [] }) => [
+    hasAnchor(anchorsComplete, 'btc') ? 1 : 0,
+    hasAnchor(anchorsComplete, 'cal') ? 1 : 0,
+    anchorsComplete.length
+  ]
+  let rankA = rank(a)
+  let rankB = rank(b)
+  for (let i = 0; i < rankA.length; i++) {
+    if (rankA[i] !== rankB[i]) return rankA[i] - rankB[i]
+  }
+  return 0
+}
+
+export default consolidateProofs
@@ -14,3 +14,39 @@
 // NETWORK CONSTANTS
 export const NODE_PROXY_URI = 'https://node-proxy.chainpoint.org:443'
 export const DNS_CORE_DISCOVERY_ADDR = '_core.addr.chainpoint.org'
+
+// SUBMISSION CONSTANTS
+// max number of hashes a Node will accept in a single request
+export const MAX_HASHES_PER_REQUEST = 250
+// default number of hash batches submitted in parallel
+export const DEFAULT_SUBMIT_CONCURRENCY = 2
+// min and max length of a submitted hash in Hexadecimal characters (160 to 512 bits)
+export const MIN_HASH_LENGTH = 40
+export const MAX_HASH_LENGTH = 128
+// max number of files read at the same time while hashing
+export const FILE_HASH_CONCURRENCY = 8
+
+// PROOF RETRIEVAL CONSTANTS
+// max number of proofs a Node will return in a single request
+export const MAX_PROOFS_PER_REQUEST = 250
+// max length of the comma separated `hashids` header, kept well under the 8KB header limit of most servers
+export const MAX_HASHIDS_HEADER_LENGTH = 4096
+// default number of proof requests made in parallel
+export const DEFAULT_GET_CONCURRENCY = 4
+// how long Nodes keep proofs for after a hash is submitted
+export const PROOF_RETENTION_PERIOD = 24 * 60 * 60 * 1000
+// default time between polls while waiting for proofs, Calendar proofs usually take about 10 seconds
+export const DEFAULT_WAIT_INTERVAL = 12000
+// the longest time between polls when a backoff is used
+export const MAX_WAIT_INTERVAL = 10 * 60 * 1000
+// number of failed requests in a row before a Node is given up on while watching proofs
+export const DEFAULT_MAX_POLL_FAILURES = 3
+// default time to wait for proofs to reach each anchor level
+export const DEFAULT_WAIT_TIMEOUTS = {
+  cal: 10 * 60 * 1000,
+  btc: 3 * 60 * 60 * 1000
+}
+
+// VERIFICATION CONSTANTS
+// default number of Nodes asked for each anchor when verifying with a quorum
+export const DEFAULT_QUORUM_NODES = 3
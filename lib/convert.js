@@ -0,0 +1,70 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import chpBinary from 'chainpoint-binary'
+import { includes, map } from 'lodash'
+
+import { proofToObject } from './utils/proofs'
+import { testArrayArg } from './utils/helpers'
+
+// The formats a proof can be converted to
+export const PROOF_FORMATS = ['json', 'object', 'binary', 'base64', 'hex']
+
+/**
+ * Convert a proof from any supported format to another.
+ *
+ *   json - a JSON-LD String
+ *   object - a JS Object
+ *   binary - a Buffer of the compressed binary form
+ *   base64 - a Base64 String of the binary form, as returned by getProofs()
+ *   hex - a Hexadecimal String of the binary form
+ *
+ * @param {Object|String|Buffer} proof - A proof in any supported format, or a getProofs() result
+ * @param {String} to - The format to convert to, one of 'json', 'object', 'binary', 'base64' or 'hex'
+ * @return {Object|String|Buffer} The proof in the requested format. An Error is thrown if the proof is not valid
+ * against the Chainpoint v4 schema, whatever the format.
+ */
+function convertProof(proof, to) {
+  if (!includes(PROOF_FORMATS, to)) throw new Error(`to arg must be one of ${PROOF_FORMATS.join(', ')}, got ${to}`)
+
+  let proofObj = proofToObject(proof)
+  if (to === 'object') return proofObj
+  if (to === 'json') return JSON.stringify(proofObj)
+
+  let proofBinary = chpBinary.objectToBinarySync(proofObj)
+  if (to === 'base64') return proofBinary.toString('base64')
+  if (to === 'hex') return proofBinary.toString('hex')
+  return proofBinary
+}
+
+/**
+ * Convert one or more proofs from any supported format to another. See convertProof().
+ *
+ * @param {Array} proofs - An Array of proofs in any supported format, or getProofs() results
+ * @param {String} to - The format to convert to, one of 'json', 'object', 'binary', 'base64' or 'hex'
+ * @return {Array} The proofs in the requested format, in the same order as `proofs`
+ */
+export function convertProofs(proofs, to) {
+  testArrayArg(proofs)
+  if (!includes(PROOF_FORMATS, to)) throw new Error(`to arg must be one of ${PROOF_FORMATS.join(', ')}, got ${to}`)
+
+  return map(proofs, (proof, index) => {
+    try {
+      return convertProof(proof, to)
+    } catch (err) {
+      throw new Error(`proofs[${index}] could not be converted : ${err.message}`)
+    }
+  })
+}
+
+export default convertProof
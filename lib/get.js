@@ -11,27 +11,63 @@
  * limitations under the License.
  */
 
-import { isEmpty, forEach, map, every, reject, keys, flatten, mapKeys, camelCase } from 'lodash'
+import {
+  isEmpty,
+  forEach,
+  map,
+  every,
+  reject,
+  keys,
+  flatMap,
+  mapKeys,
+  camelCase,
+  uniq,
+  isArray,
+  isInteger,
+  includes,
+  filter,
+  get,
+  pick
+} from 'lodash'
 
 import { isValidNodeURI } from './utils/network'
-import { isValidProofHandle } from './utils/proofs'
-import { isSecureOrigin, isValidUUID, fetchEndpoints, testArrayArg } from './utils/helpers'
+import { isValidProofHandle, getProofExpiry } from './utils/proofs'
+import { isSecureOrigin, isValidUUID, fetchEndpointsSettled, testArrayArg, mapConcurrent } from './utils/helpers'
 import getConfig from './config'
-import { NODE_PROXY_URI } from './constants'
+import {
+  NODE_PROXY_URI,
+  MAX_PROOFS_PER_REQUEST,
+  MAX_HASHIDS_HEADER_LENGTH,
+  DEFAULT_GET_CONCURRENCY,
+  PROOF_RETENTION_PERIOD
+} from './constants'
 
 let config = getConfig()
+
+// How getProofs() handles proof handles past the Node retention period
+const EXPIRED_OPTIONS = ['request', 'skip', 'refuse']
+
 /**
  * Retrieve a collection of proofs for one or more hash IDs from the appropriate Node(s)
  * The output of `submitProofs()` can be passed directly as the `proofHandles` arg to
- * this function.
+ * this function. Any number of handles may be passed, the proof IDs for each Node are
+ * split into requests small enough for the Node to accept.
  *
- * @param {Array<{uri: String, hashIdNode: String}>} proofHandles - An Array of Objects, each Object containing
+ * @param {Array<{uri: String, proofId: String}>} proofHandles - An Array of Objects, each Object containing
  * all info needed to retrieve a proof from a specific Node.
- * @param {function} callback - An optional callback function.
- * @return {Array<{uri: String, hashIdNode: String, proof: String}>} - An Array of Objects, each returning the
- * URI the proof was returned from and the Proof in Base64 encoded binary form.
+ * @param {Object} options - [Optional] `concurrency` (max requests in flight at once). `expired` how to handle
+ * proof handles past the 24 hour Node retention period: 'request' (default) to request them anyway, 'skip' to not
+ * request them, or 'refuse' to throw an Error.
+ * @return {Array<{uri: String, hash: String, groupId: String, proofId: String, proof: String, anchorsComplete: Array<String>, status: String, expiresIn: Number, expired: Boolean}>}
+ * - An Array of Objects, one for each handle and in the same order, each returning the handle's `uri`, `hash` and `groupId`,
+ * the proof ID and the Proof in Base64 encoded binary form. The `status` is 'ok',
+ * 'pending' (not ready yet), 'not_found' (expired or unknown) or 'node_error', which also has the request `error`.
+ * `expiresIn` is the ms remaining before the Node no longer keeps the proof, 0 once it has expired, and `expired`
+ * is true for handles past the retention period, whose proofs may no longer be available.
  */
-async function getProofs(proofHandles) {
+async function getProofs(proofHandles, options = {}) {
+  let { concurrency = DEFAULT_GET_CONCURRENCY, expired = 'request' } = options
+
   // Validate all proofHandles provided
   testArrayArg(proofHandles)
   if (
@@ -40,7 +76,9 @@ async function getProofs(proofHandles) {
     })
   )
     throw new Error('proofHandles Array contains invalid Objects')
-  if (proofHandles.length > 250) throw new Error('proofHandles arg must be an Array with <= 250 elements')
+  if (!isInteger(concurrency) || concurrency < 1) throw new Error('concurrency option must be an Integer >= 1')
+  if (!includes(EXPIRED_OPTIONS, expired))
+    throw new Error(`expired option must be one of ${EXPIRED_OPTIONS.join(', ')}, got ${expired}`)
 
   // Validate that *all* URI's provided are valid or throw
   let badHandleURIs = reject(proofHandles, function(u) {
@@ -64,28 +102,42 @@ async function getProofs(proofHandles) {
       }).join(', ')}`
     )
 
-  try {
-    // Collect together all proof UUIDs destined for a single Node
-    // so they can be submitted to the Node in a single request.
-    let uuidsByNode = {}
-    forEach(proofHandles, handle => {
-      if (isEmpty(uuidsByNode[handle.uri])) {
-        uuidsByNode[handle.uri] = []
-      }
-      uuidsByNode[handle.uri].push(handle.proofId)
-    })
+  // Nodes only keep proofs for a limited time, so requesting a proof that has expired is usually pointless
+  let now = Date.now()
+  let expiries = map(proofHandles, handle => getProofExpiry(handle, now))
+  let expiredHandles = filter(proofHandles, (handle, i) => expiries[i].expired)
+  if (!isEmpty(expiredHandles) && expired === 'refuse') {
+    let hours = PROOF_RETENTION_PERIOD / (60 * 60 * 1000)
+    let proofIds = map(expiredHandles, 'proofId').join(', ')
+    let err = new Error(
+      `${expiredHandles.length} proof handles are past the ${hours} hour Node retention period : ${proofIds}`
+    )
+    err.expired = expiredHandles
+    throw err
+  }
 
-    // For each Node construct a set of GET options including
-    // the `hashids` header with a list of all hash ID's to retrieve
-    // proofs for from that Node.
-    let nodesWithGetOpts = map(keys(uuidsByNode), node => {
+  // Collect together all proof UUIDs destined for a single Node
+  // so they can be submitted to the Node in as few requests as possible.
+  let uuidsByNode = {}
+  forEach(proofHandles, (handle, i) => {
+    if (expired === 'skip' && expiries[i].expired) return
+    if (isEmpty(uuidsByNode[handle.uri])) {
+      uuidsByNode[handle.uri] = []
+    }
+    uuidsByNode[handle.uri].push(handle.proofId)
+  })
+
+  // For each Node construct a set of GET options for every chunk of its proof IDs,
+  // including the `hashids` header with the list of hash ID's to retrieve proofs for.
+  let requests = flatMap(keys(uuidsByNode), node =>
+    map(chunkProofIds(uniq(uuidsByNode[node])), proofIds => {
       let headers = Object.assign(
         {
           accept: 'application/json',
           'content-type': 'application/json'
         },
         {
-          hashids: uuidsByNode[node].join(',')
+          hashids: proofIds.join(',')
         },
         isSecureOrigin()
           ? {
@@ -100,28 +152,91 @@ async function getProofs(proofHandles) {
         headers,
         timeout: 10000
       }
-      return getOptions
+      return { node, proofIds, getOptions }
     })
+  )
 
-    // Perform parallel GET requests to all Nodes with proofs
-    const parsedBody = await fetchEndpoints(nodesWithGetOpts)
-    // fetchEndpoints returns an Array entry for each host it submits to.
-    let flatParsedBody = flatten(parsedBody)
+  // Perform GET requests to all Nodes with proofs, `concurrency` at a time.
+  // Each request settles on its own so a failed Node does not affect the proofs from the others.
+  let resultsByNode = {}
+  await mapConcurrent(requests, concurrency, async ({ node, proofIds, getOptions }) => {
+    let [{ value, error }] = await fetchEndpointsSettled([getOptions])
+    if (!error && !isArray(value)) error = new Error(`Unexpected response from Node ${node}`)
 
-    let proofsResponse = []
+    // Every proof ID gets a result, a proof ID the Node does not respond with at all is unknown to it
+    let nodeResults = resultsByNode[node] || (resultsByNode[node] = {})
+    forEach(proofIds, proofId => {
+      nodeResults[proofId] = error
+        ? { proofId, proof: null, anchorsComplete: [], status: 'node_error', error }
+        : { proofId, proof: null, anchorsComplete: [], status: 'not_found' }
+    })
+    if (error) return
 
-    forEach(flatParsedBody, proofResp => {
+    forEach(value, proofResp => {
       // Set to empty Array if unset of null
       proofResp.anchors_complete = proofResp.anchors_complete || []
       // Camel case object keys
       let proofRespCamel = mapKeys(proofResp, (v, k) => camelCase(k))
-      proofsResponse.push(proofRespCamel)
+      proofRespCamel.status = getProofStatus(proofRespCamel)
+      nodeResults[proofRespCamel.proofId] = proofRespCamel
     })
-    return proofsResponse
-  } catch (err) {
-    console.error(err.message)
-    throw err
-  }
+  })
+
+  // Merge the results back into the same order as the handles they are for,
+  // with the details from each handle needed to match results for the same hash.
+  // Skipped handles were not requested, so they are not found.
+  return map(proofHandles, (handle, i) => ({
+    ...pick(handle, ['uri', 'hash', 'groupId']),
+    ...(get(resultsByNode, [handle.uri, handle.proofId]) || {
+      proofId: handle.proofId,
+      proof: null,
+      anchorsComplete: [],
+      status: 'not_found'
+    }),
+    expiresIn: expiries[i].expiresIn,
+    expired: expiries[i].expired
+  }))
+}
+
+/**
+ * Get the status of a single proof returned by a Node. A missing proof is pending while it is
+ * within the period Nodes keep proofs for, after that it has expired and will never be available.
+ *
+ * @param {Object} proofResp - A camel cased proof Object from a Node's response
+ * @returns {String} The status of the proof, 'ok', 'pending' or 'not_found'
+ */
+function getProofStatus(proofResp) {
+  if (proofResp.proof) return 'ok'
+  if (isValidUUID(proofResp.proofId) && !getProofExpiry(proofResp.proofId).expired) return 'pending'
+  return 'not_found'
+}
+
+/**
+ * Split a Node's proof IDs into chunks that can each be sent in a single request. Each chunk
+ * has at most MAX_PROOFS_PER_REQUEST IDs, and their comma separated list in the `hashids`
+ * header is no longer than MAX_HASHIDS_HEADER_LENGTH.
+ *
+ * @param {Array<String>} proofIds - The proof IDs to split
+ * @returns {Array<Array<String>>} An Array of chunks of proof IDs, in their original order
+ */
+function chunkProofIds(proofIds) {
+  let chunks = []
+  let chunk = []
+  let headerLength = 0
+
+  forEach(proofIds, proofId => {
+    let length = chunk.length ? headerLength + 1 + proofId.length : proofId.length
+    if (chunk.length && (chunk.length >= MAX_PROOFS_PER_REQUEST || length > MAX_HASHIDS_HEADER_LENGTH)) {
+      chunks.push(chunk)
+      chunk = []
+      length = proofId.length
+    }
+    chunk.push(proofId)
+    headerLength = length
+  })
+  if (chunk.length) chunks.push(chunk)
+
+  return chunks
 }
 
 export default getProofs
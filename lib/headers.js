@@ -0,0 +1,175 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { promisify } from 'util'
+import { isEmpty, isString, isArray, isObject, isInteger, forEach, has, includes } from 'lodash'
+
+import { requestEndpoint } from './utils/helpers'
+
+// Bitcoin block headers are always 80 bytes
+const HEADER_SIZE = 80
+const HEADERS_FILE_FORMATS = ['json', 'binary']
+
+/**
+ * Block header sources are passed to createBitcoinResolver() to look up the headers of the blocks
+ * Bitcoin anchors are anchored to. Each one has a `getBlockHeader(height)` method that resolves with
+ * the header of the block at a height, or null if it does not have that block.
+ */
+
+/**
+ * Create a block header source that reads headers from a local file. The file is read once, when the first header
+ * is requested. Two formats are supported:
+ *
+ *   json - An Object of headers keyed by height, or an Array of header Objects with a `height` property such as
+ *     saved from bitcoind's getblockheader. Each header can be an 80 byte raw header in Hexadecimal, or an Object
+ *     with a `merkleroot` or `merkle_root` property.
+ *   binary - Consecutive 80 byte raw headers, as written by Electrum and other SPV wallets
+ *
+ * @param {String} filePath - The path of the headers file
+ * @param {Object} options - [Optional] `format` of the file, 'json' for .json files and 'binary' otherwise by default.
+ * `startHeight` the height of the first header in a binary file, defaults to 0.
+ * @return {Object} A block header source
+ */
+export function createHeadersFileSource(filePath, options = {}) {
+  if (!isString(filePath) || isEmpty(filePath)) throw new Error('filePath arg must be a non-empty String')
+  let { format = path.extname(filePath) === '.json' ? 'json' : 'binary', startHeight = 0 } = options
+  if (!includes(HEADERS_FILE_FORMATS, format))
+    throw new Error(`format option must be one of ${HEADERS_FILE_FORMATS.join(', ')}, got ${format}`)
+  if (!isInteger(startHeight) || startHeight < 0) throw new Error('startHeight option must be an Integer >= 0')
+
+  const readFile = promisify(fs.readFile)
+  let loading = null
+
+  let load = () => {
+    if (!loading) {
+      loading = format === 'json' ? readFile(filePath, 'utf8').then(parseHeadersJSON) : readFile(filePath)
+      // Allow the file to be read again if it could not be read
+      loading.catch(() => (loading = null))
+    }
+    return loading
+  }
+
+  return {
+    getBlockHeader: async height => {
+      let headers = await load()
+      if (format === 'json') return has(headers, height) ? headers[height] : null
+
+      let offset = (height - startHeight) * HEADER_SIZE
+      if (offset < 0 || offset + HEADER_SIZE > headers.length) return null
+      return headers.slice(offset, offset + HEADER_SIZE).toString('hex')
+    }
+  }
+}
+
+/**
+ * Parse a JSON headers file
+ *
+ * @param {String} data - The contents of the file
+ * @returns {Object} The headers keyed by height
+ */
+function parseHeadersJSON(data) {
+  let parsed = JSON.parse(data)
+  if (!isArray(parsed)) {
+    if (!isObject(parsed)) throw new Error('headers file must contain an Object or Array of headers')
+    return parsed
+  }
+
+  let headers = {}
+  forEach(parsed, header => {
+    if (!isObject(header) || !isInteger(header.height))
+      throw new Error('headers in a headers file Array must be Objects with a height')
+    headers[header.height] = header
+  })
+  return headers
+}
+
+/**
+ * Create a block header source that looks headers up from a bitcoind JSON-RPC endpoint,
+ * with the getblockhash and getblockheader methods.
+ *
+ * @param {String} uri - The URI of the JSON-RPC endpoint, e.g. http://127.0.0.1:8332
+ * @param {Object} options - [Optional] `username` and `password` for the RPC endpoint, and `timeout` in ms for each request
+ * @return {Object} A block header source
+ */
+export function createBitcoindSource(uri, options = {}) {
+  if (!isString(uri) || isEmpty(uri)) throw new Error('uri arg must be a non-empty String')
+  let { username, password, timeout = 10000 } = options
+
+  let headers = { 'Content-Type': 'application/json', Accept: 'application/json' }
+  if (username || password) {
+    headers.Authorization = `Basic ${Buffer.from(`${username || ''}:${password || ''}`).toString('base64')}`
+  }
+
+  let id = 0
+  let call = async (method, params) => {
+    let { res, body } = await requestEndpoint({
+      method: 'POST',
+      uri,
+      body: { jsonrpc: '1.0', id: ++id, method, params },
+      headers,
+      timeout
+    })
+    // bitcoind responds with an error status for RPC errors, which are described in the body
+    if (isObject(body) && body.error) throw new Error(`bitcoind ${method} failed : ${body.error.message}`)
+    if (!res.ok) throw new Error(`bitcoind ${method} failed : ${res.statusText || `HTTP status ${res.status}`}`)
+    return body.result
+  }
+
+  return {
+    getBlockHeader: async height => {
+      let hash
+      try {
+        hash = await call('getblockhash', [height])
+      } catch (err) {
+        // bitcoind does not have a block at heights above its chain tip
+        if (err.message.match(/out of range/i)) return null
+        throw err
+      }
+      return call('getblockheader', [hash])
+    }
+  }
+}
+
+/**
+ * Create a block header source that looks headers up from an Esplora compatible REST API,
+ * such as a local electrs or a public block explorer.
+ *
+ * @param {String} uri - The base URI of the API, e.g. http://127.0.0.1:3000 or https://blockstream.info/api
+ * @param {Object} options - [Optional] `timeout` in ms for each request
+ * @return {Object} A block header source
+ */
+export function createEsploraSource(uri, options = {}) {
+  if (!isString(uri) || isEmpty(uri)) throw new Error('uri arg must be a non-empty String')
+  let { timeout = 10000 } = options
+  let baseURI = uri.replace(/\/+$/, '')
+
+  let get = async apiPath => {
+    let { res, body } = await requestEndpoint({ method: 'GET', uri: baseURI + apiPath, timeout })
+    return { status: res.status, ok: res.ok, body }
+  }
+
+  return {
+    getBlockHeader: async height => {
+      let blockHash = await get(`/block-height/${height}`)
+      // Esplora responds with 404 for heights above its chain tip
+      if (blockHash.status === 404) return null
+      if (!blockHash.ok) throw new Error(`Esplora block-height ${height} failed : HTTP status ${blockHash.status}`)
+
+      let block = await get(`/block/${String(blockHash.body).trim()}`)
+      if (!block.ok) throw new Error(`Esplora block ${blockHash.body} failed : HTTP status ${block.status}`)
+      return block.body
+    }
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import url from 'url'
+import {
+  isEmpty,
+  isString,
+  isObject,
+  isFunction,
+  isArray,
+  isInteger,
+  isNil,
+  every,
+  first,
+  flatten,
+  partition,
+  countBy,
+  maxBy,
+  keys,
+  has,
+  map,
+  uniq
+} from 'lodash'
+
+import { isValidNodeURI, getNodes } from './utils/network'
+import { fetchEndpointsSettled, isSecureOrigin, isHex } from './utils/helpers'
+import { NODE_PROXY_URI, DEFAULT_QUORUM_NODES } from './constants'
+import getConfig from './config'
+
+let config = getConfig()
+
+/**
+ * Anchor resolvers look up the value an anchor in a proof is expected to match, so verifyProofs() can compare them.
+ * A resolver is an Object with:
+ *
+ *   resolve(anchor) - an async function that is passed an anchor `{type, anchor_id, expected_value, uri}` as
+ *     returned by evaluateProofs(), and resolves with the value found for it, or null if there is none.
+ *     It rejects with an Error if the value could not be looked up. It can instead resolve with an Object with
+ *     the `value` and other properties describing the lookup, which are added to the verification result.
+ *   types - [Optional] An Array of the anchor types the resolver can resolve, e.g. ['btc', 'tbtc'].
+ *     A resolver without `types` resolves every type.
+ *   source - [Optional] A String naming where the resolver looks anchors up, which is reported as the `source`
+ *     of each anchor it resolves. resolve() can instead resolve with an Object with the `source` of the value.
+ */
+
+/**
+ * Create a resolver that looks up anchors from a Node, using the path of the calendar URI in each anchor.
+ * Each lookup resolves with the `value`, the URI of the Node it was found from as the `source`, and the `uri`
+ * it was requested from on that Node, which replaces the anchor's own calendar URI in the verification result.
+ *
+ * @param {String} uri - [Optional] The Node URI to look anchors up from. If not provided a Node will be selected at random.
+ * @return {Object} An anchor resolver
+ */
+export function createNodeResolver(uri) {
+  // Validate the Node URI if provided, or get one via service discovery when it is first needed
+  let node = null
+  if (!isEmpty(uri)) {
+    if (!isString(uri)) throw new Error('uri arg must be a String')
+    if (!isValidNodeURI(uri)) throw new Error(`uri arg contains invalid Node URI : ${uri}`)
+    node = Promise.resolve(uri)
+  }
+
+  // Many anchors share the same calendar URI, so each is only requested once. Lookups that fail or find no value
+  // are not kept, so they are requested again once the Node may have the calendar block.
+  let values = {}
+
+  return {
+    resolve: async anchor => {
+      if (!node) node = Promise.resolve(getNodes(1)).then(first)
+      let nodeURI = await node
+      let anchorPath = url.parse(anchor.uri).path
+      let key = nodeURI + anchorPath
+      if (!values[key]) {
+        values[key] = fetchAnchorValue(nodeURI, anchorPath).then(
+          value => {
+            if (value === null) delete values[key]
+            return value
+          },
+          err => {
+            delete values[key]
+            throw err
+          }
+        )
+      }
+      return { value: await values[key], source: nodeURI, uri: key }
+    }
+  }
+}
+
+/**
+ * Create a resolver that looks each anchor up from several Nodes, and only confirms its value when enough of them
+ * agree, so that a single lying or out of date Node cannot confirm or reject a proof on its own.
+ *
+ * The anchor's expected value is confirmed when at least `required` Nodes return it. Otherwise another value is
+ * only used when at least `required` Nodes return it, so that a mismatch also needs a quorum, or null if none did. Nodes that fail or have no value for the anchor
+ * are not counted as agreeing or disagreeing. Each lookup adds a `quorum` Object with the `required` number of Nodes,
+ * the URIs of the Nodes that `agreed` with the expected value, those that `disagreed` with another value and those
+ * that `failed` to return one, and the `answers` from each Node.
+ *
+ * @param {Object} options - [Optional] `nodes` the Node URIs to ask, or the number of Nodes to discover (default 3).
+ * `required` the number of Nodes that must agree, defaults to a majority of the Nodes.
+ * @return {Object} An anchor resolver
+ */
+export function createQuorumResolver(options = {}) {
+  let { nodes = DEFAULT_QUORUM_NODES } = options
+  if (isArray(nodes)) {
+    if (isEmpty(nodes) || !every(nodes, isValidNodeURI)) throw new Error('nodes option must contain valid Node URIs')
+    nodes = uniq(nodes)
+  } else if (!isInteger(nodes) || nodes < 1) {
+    throw new Error('nodes option must be an Array of Node URIs or an Integer >= 1')
+  }
+  let count = isArray(nodes) ? nodes.length : nodes
+  let { required = Math.floor(count / 2) + 1 } = options
+  if (!isInteger(required) || required < 1 || required > count)
+    throw new Error(`required option must be an Integer between 1 and ${count}`)
+
+  // Discover the Nodes when they are first needed, each with its own resolver
+  let nodeResolvers = null
+  let getNodeResolvers = () => {
+    if (!nodeResolvers) {
+      nodeResolvers = Promise.resolve(isArray(nodes) ? nodes : getNodes(nodes)).then(uris => {
+        uris = uniq(uris)
+        if (uris.length < required) throw new Error(`Found ${uris.length} Nodes, a quorum of ${required} is required`)
+        return map(uris, uri => ({ uri, resolver: createNodeResolver(uri) }))
+      })
+      nodeResolvers.catch(() => (nodeResolvers = null))
+    }
+    return nodeResolvers
+  }
+
+  return {
+    source: 'quorum',
+    resolve: async anchor => {
+      let answers = await Promise.all(
+        map(await getNodeResolvers(), async ({ uri, resolver }) => {
+          try {
+            let { value } = await resolver.resolve(anchor)
+            return { uri, value }
+          } catch (error) {
+            return { uri, value: null, error }
+          }
+        })
+      )
+      if (every(answers, 'error')) throw first(answers).error
+
+      // Only Nodes that returned a value vote on it
+      let [votes, failed] = partition(answers, answer => isString(answer.value))
+      let [agreed, disagreed] = partition(votes, { value: anchor.expected_value })
+      let value = anchor.expected_value
+      if (agreed.length < required) {
+        // Another value is only used when a quorum returned it, so too few Nodes cannot reject a proof either
+        let counts = countBy(disagreed, 'value')
+        let other = maxBy(keys(counts), other => counts[other])
+        value = other && counts[other] >= required ? other : null
+      }
+
+      return {
+        value,
+        quorum: {
+          required,
+          agreed: map(agreed, 'uri'),
+          disagreed: map(disagreed, 'uri'),
+          failed: map(failed, 'uri'),
+          answers
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Get the value at a calendar path from a Node
+ *
+ * @param {String} nodeURI - The base URI of the Node
+ * @param {String} anchorPath - The path of the calendar URI for an anchor
+ * @returns {String} The value returned by the Node, or null if it returned none or does not have the calendar entry
+ */
+async function fetchAnchorValue(nodeURI, anchorPath) {
+  let headers = Object.assign(
+    {
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    },
+    isSecureOrigin()
+      ? {
+          'X-Node-Uri': nodeURI
+        }
+      : {}
+  )
+
+  let [{ status, value: body, error }] = await fetchEndpointsSettled([
+    {
+      method: 'GET',
+      uri: (isSecureOrigin() ? config.str('node-proxy-uri', NODE_PROXY_URI) : nodeURI) + anchorPath,
+      body: {},
+      headers,
+      timeout: 10000
+    }
+  ])
+
+  // A Node that does not have the calendar entry responds with a 404, any other failure is a lookup error
+  if (status === 404) return null
+  if (error) throw error
+
+  // The Node responds with the value, possibly wrapped in an Array
+  let value = first(flatten([body]))
+  if (isNil(value) || value === '') return null
+  if (!isString(value)) throw new Error(`Node ${nodeURI} returned an invalid value for ${anchorPath}`)
+  return value
+}
+
+/**
+ * Create a resolver that looks up btc and tbtc anchors from Bitcoin block headers, so they can be verified
+ * without trusting a Chainpoint Node. The anchor_id of a Bitcoin anchor is the height of the block it is
+ * anchored to, and the value is the merkle root of that block.
+ *
+ * @param {Object} headerSource - An Object with a `getBlockHeader(height)` method, which resolves with the header of the
+ * block at a height. The header can be an 80 byte raw header in Hexadecimal, or an Object with a `merkleroot`
+ * (as returned by bitcoind) or `merkle_root` (as returned by Esplora) property. Use a testnet source for tbtc anchors.
+ * @return {Object} An anchor resolver
+ */
+export function createBitcoinResolver(headerSource) {
+  if (!isObject(headerSource) || !isFunction(headerSource.getBlockHeader))
+    throw new Error('headerSource must be an Object with a getBlockHeader method')
+
+  // Many anchors are to the same block, so each header is only requested once. Lookups that fail or find no header
+  // are not kept, so they are requested again once the header source may have the block.
+  let merkleRoots = {}
+
+  return {
+    types: ['btc', 'tbtc'],
+    source: 'bitcoin',
+    resolve: anchor => {
+      let height = parseInt(anchor.anchor_id, 10)
+      if (!merkleRoots[height]) {
+        merkleRoots[height] = Promise.resolve()
+          .then(() => headerSource.getBlockHeader(height))
+          .then(header => getMerkleRoot(header, height))
+          .then(
+            merkleRoot => {
+              if (merkleRoot === null) delete merkleRoots[height]
+              return merkleRoot
+            },
+            err => {
+              delete merkleRoots[height]
+              throw err
+            }
+          )
+      }
+      return merkleRoots[height]
+    }
+  }
+}
+
+/**
+ * Get the merkle root from a Bitcoin block header
+ *
+ * @param {String|Object} header - An 80 byte raw header in Hexadecimal, or an Object with a `merkleroot` or `merkle_root`
+ * @param {Number} height - The height of the block, for error messages
+ * @returns {String} The merkle root in the byte order it is displayed in, which is the order used by proofs
+ */
+export function getMerkleRoot(header, height) {
+  if (!header) return null
+
+  let merkleRoot
+  if (isString(header) && header.length === 160 && isHex(header)) {
+    // The raw header has the merkle root at bytes 36 to 68, in reverse of the displayed byte order
+    merkleRoot = Buffer.from(header.slice(72, 136), 'hex')
+      .reverse()
+      .toString('hex')
+  } else if (isObject(header)) {
+    merkleRoot = has(header, 'merkleroot') ? header.merkleroot : header.merkle_root
+  }
+
+  if (!isString(merkleRoot) || merkleRoot.length !== 64 || !isHex(merkleRoot))
+    throw new Error(`Block header for height ${height} does not have a valid merkle root`)
+  return merkleRoot.toLowerCase()
+}
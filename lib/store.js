@@ -0,0 +1,305 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { promisify } from 'util'
+import {
+  cloneDeep,
+  every,
+  filter,
+  has,
+  includes,
+  isEmpty,
+  isFunction,
+  isObject,
+  isString,
+  map,
+  pick,
+  values
+} from 'lodash'
+
+import watchProofs from './watch'
+import { isValidProofHandle, hasAnchor, getProofExpiry } from './utils/proofs'
+import { testArrayArg, isValidUUID } from './utils/helpers'
+
+const STATUSES = ['pending', 'complete', 'expired']
+const ADAPTER_METHODS = ['get', 'put', 'remove', 'list']
+
+/**
+ * Create a ProofStore to keep proof handles and their proofs across restarts. Nodes only keep proofs for
+ * 24 hours, so handles should be added as soon as they are returned by submitHashes().
+ *
+ * Each entry is a plain Object `{handle, proof, status, expiresAt, updatedAt}`, keyed by the handle's proofId, where
+ * `proof` is the most complete getProofs() result seen so far (or null), `expiresAt` is when the Node stops keeping
+ * the proof, and `status` is one of:
+ *
+ *   pending - the proof has not reached `until` yet
+ *   complete - the proof is anchored to `until`
+ *   expired - the Node no longer has the proof, so it will not be anchored any further
+ *
+ * Entries are saved through an adapter, which is any Object with these async methods:
+ *
+ *   get(proofId) - resolves with the entry saved for proofId, or undefined
+ *   put(proofId, entry) - saves the entry for proofId, replacing any entry saved before
+ *   remove(proofId) - removes the entry for proofId, if any
+ *   list() - resolves with an Array of every saved entry
+ *
+ * @param {Object} adapter - [Optional] The adapter entries are saved with, defaults to createMemoryAdapter()
+ * @param {Object} options - [Optional] `until` the anchor level at which a proof is complete, 'cal' or 'btc' (default)
+ * @return {Object} A ProofStore with `addHandles`, `updateProofs`, `get`, `list`, `remove` and `resume` methods
+ */
+function createProofStore(adapter = createMemoryAdapter(), options = {}) {
+  let { until = 'btc' } = options
+
+  if (!isObject(adapter) || !every(ADAPTER_METHODS, method => isFunction(adapter[method])))
+    throw new Error(`adapter must be an Object with ${ADAPTER_METHODS.join(', ')} methods`)
+  if (!includes(['cal', 'btc'], until)) throw new Error(`until option must be 'cal' or 'btc', got ${until}`)
+
+  let save = async entry => {
+    entry.updatedAt = Date.now()
+    await adapter.put(entry.handle.proofId, entry)
+    return entry
+  }
+
+  let store = {
+    adapter,
+    until,
+
+    /**
+     * Add proof handles to the store as pending entries. Handles already in the store are left as they are.
+     *
+     * @param {Array<{uri: String, proofId: String}>} proofHandles - An Array of proof handles as returned by submitHashes()
+     * @return {Array<Object>} The entry for each handle, in the same order as `proofHandles`
+     */
+    async addHandles(proofHandles) {
+      testArrayArg(proofHandles)
+      if (!every(proofHandles, handle => isValidProofHandle(handle) && isValidUUID(handle.proofId)))
+        throw new Error('proofHandles Array contains invalid Objects')
+
+      let entries = []
+      for (let handle of proofHandles) {
+        let entry = await adapter.get(handle.proofId)
+        if (!entry) {
+          let { expiresAt } = getProofExpiry(handle)
+          entry = await save({ handle, proof: null, status: 'pending', expiresAt })
+        }
+        entries.push(entry)
+      }
+      return entries
+    },
+
+    /**
+     * Update the entries for one or more getProofs() results. A result only replaces the proof of an entry
+     * if it has at least as many anchors, and results for proofIds not in the store are ignored.
+     *
+     * @param {Array<Object>} proofs - An Array of results from getProofs()
+     * @return {Array<Object>} The updated entry for each result, or null for results not in the store
+     */
+    async updateProofs(proofs) {
+      testArrayArg(proofs)
+      if (!every(proofs, proof => isObject(proof) && isString(proof.proofId)))
+        throw new Error('proofs arg must be an Array of results from getProofs()')
+
+      let entries = []
+      for (let result of proofs) {
+        let entry = await adapter.get(result.proofId)
+        if (!entry) {
+          entries.push(null)
+          continue
+        }
+        if (result.proof && (!entry.proof || result.anchorsComplete.length >= entry.proof.anchorsComplete.length)) {
+          entry.proof = pick(result, ['proofId', 'proof', 'anchorsComplete'])
+        }
+        if (entry.proof && hasAnchor(entry.proof.anchorsComplete, until)) entry.status = 'complete'
+        else if (result.status === 'not_found') entry.status = 'expired'
+        entries.push(await save(entry))
+      }
+      return entries
+    },
+
+    /**
+     * Get the entry for a proofId
+     *
+     * @param {String} proofId - The proofId of the entry
+     * @return {Object} The entry, or undefined if the proofId is not in the store
+     */
+    async get(proofId) {
+      return adapter.get(proofId)
+    },
+
+    /**
+     * List the entries in the store. Pending entries older than the Node retention period
+     * are marked as expired first, since their proofs can no longer be retrieved.
+     *
+     * @param {String} status - [Optional] Only list entries with this status, 'pending', 'complete' or 'expired'
+     * @return {Array<Object>} The matching entries
+     */
+    async list(status) {
+      if (status !== undefined && !includes(STATUSES, status))
+        throw new Error(`status arg must be one of ${STATUSES.join(', ')}, got ${status}`)
+
+      let entries = await adapter.list()
+      let now = Date.now()
+      for (let entry of entries) {
+        if (entry.status === 'pending' && getProofExpiry(entry.handle, now).expired) {
+          entry.status = 'expired'
+          await save(entry)
+        }
+      }
+      return status ? filter(entries, { status }) : entries
+    },
+
+    /**
+     * Remove the entries for one or more proofIds, such as once their proofs have been saved elsewhere
+     *
+     * @param {Array<String>} proofIds - An Array of proofIds to remove
+     */
+    async remove(proofIds) {
+      testArrayArg(proofIds)
+      for (let proofId of proofIds) await adapter.remove(proofId)
+    },
+
+    /**
+     * Resume polling for every pending entry, such as after a restart, updating the store as proofs are anchored.
+     * Polling is done with watchProofs(), and resolves once every pending entry is complete, expired or failed,
+     * or the timeout is reached. Entries that failed are left pending so they are polled for again next time.
+     *
+     * @param {Object} options - [Optional] `interval`, `backoff`, `maxInterval`, `timeout` and `maxFailures` as for
+     * watchProofs(), and `onEvent` a function called with each watchProofs() event after the store has been updated
+     * @return {{pending: Array<Object>, complete: Array<Object>, expired: Array<Object>}} The resumed entries, by status
+     */
+    async resume(options = {}) {
+      let { onEvent, ...watchOptions } = options
+      let resumed = { pending: [], complete: [], expired: [] }
+
+      let pending = await store.list('pending')
+      if (isEmpty(pending)) return resumed
+
+      for await (let event of watchProofs(map(pending, 'handle'), { ...watchOptions, until })) {
+        if (event.type === 'expired') {
+          let entry = await adapter.get(event.handle.proofId)
+          if (entry && entry.status === 'pending') {
+            entry.status = 'expired'
+            await save(entry)
+          }
+        } else if (event.proof) {
+          await store.updateProofs([event.proof])
+        }
+        if (isFunction(onEvent)) onEvent(event)
+      }
+
+      for (let { handle } of pending) {
+        let entry = await adapter.get(handle.proofId)
+        if (entry) resumed[entry.status].push(entry)
+      }
+      return resumed
+    }
+  }
+
+  return store
+}
+
+/**
+ * Create an adapter that keeps entries in memory, for use in the browser or in tests.
+ * Entries are copied in and out, so changes to a returned entry are not saved until it is put.
+ *
+ * @return {Object} A ProofStore adapter
+ */
+export function createMemoryAdapter() {
+  let entries = new Map()
+  return {
+    get: async proofId => cloneDeep(entries.get(proofId)),
+    put: async (proofId, entry) => {
+      entries.set(proofId, cloneDeep(entry))
+    },
+    remove: async proofId => {
+      entries.delete(proofId)
+    },
+    list: async () => map(Array.from(entries.values()), cloneDeep)
+  }
+}
+
+/**
+ * Create an adapter that saves entries to a JSON file. The file is read on first use and rewritten after each
+ * change, by writing to a temporary file that replaces it so an interrupted write does not lose the saved entries.
+ * Only one adapter should use a file at a time.
+ *
+ * @param {String} filePath - The path of the JSON file, which is created if it does not exist
+ * @return {Object} A ProofStore adapter
+ */
+export function createFileAdapter(filePath) {
+  if (!isString(filePath) || isEmpty(filePath)) throw new Error('filePath arg must be a non-empty String')
+
+  const readFile = promisify(fs.readFile)
+  const writeFile = promisify(fs.writeFile)
+  const rename = promisify(fs.rename)
+
+  let file = path.resolve(filePath)
+  let loading = null
+  // Writes are chained so they reach the file in the order they were made
+  let writing = Promise.resolve()
+
+  let load = () => {
+    if (!loading) {
+      loading = readFile(file, 'utf8').then(
+        data => {
+          let entries = JSON.parse(data)
+          if (!isObject(entries) || Array.isArray(entries)) throw new Error(`${file} is not a ProofStore file`)
+          return entries
+        },
+        err => {
+          if (err.code === 'ENOENT') return {}
+          throw err
+        }
+      )
+    }
+    return loading
+  }
+
+  let write = entries => {
+    let tmpFile = `${file}.tmp`
+    // A failed write should not stop later writes from being made
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await writeFile(tmpFile, JSON.stringify(entries, null, 2))
+        await rename(tmpFile, file)
+      })
+    return writing
+  }
+
+  return {
+    get: async proofId => {
+      let entries = await load()
+      return has(entries, proofId) ? cloneDeep(entries[proofId]) : undefined
+    },
+    put: async (proofId, entry) => {
+      let entries = await load()
+      entries[proofId] = cloneDeep(entry)
+      await write(entries)
+    },
+    remove: async proofId => {
+      let entries = await load()
+      if (!has(entries, proofId)) return
+      delete entries[proofId]
+      await write(entries)
+    },
+    list: async () => {
+      let entries = await load()
+      return map(values(entries), cloneDeep)
+    }
+  }
+}
+
+export default createProofStore
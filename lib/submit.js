@@ -11,28 +11,85 @@
  * limitations under the License.
  */
 
-import { isEmpty, reject, uniq, map, forEach } from 'lodash'
+import { isEmpty, reject, uniq, map, forEach, chunk, flatten, compact, isInteger } from 'lodash'
 
-import { isHex, isSecureOrigin, fetchEndpoints, validateHashesArg, validateUrisArg } from './utils/helpers'
+import {
+  isSecureOrigin,
+  fetchEndpoints,
+  fetchEndpointsSettled,
+  validateHashes,
+  validateUrisArg,
+  mapConcurrent
+} from './utils/helpers'
 import { isValidNodeURI, getNodes } from './utils/network'
 import { mapSubmitHashesRespToProofHandles } from './utils/proofs'
-import { NODE_PROXY_URI } from './constants'
+import { NODE_PROXY_URI, MAX_HASHES_PER_REQUEST, DEFAULT_SUBMIT_CONCURRENCY } from './constants'
 import getConfig from './config'
 
 let config = getConfig()
 /**
  * Submit hash(es) to one or more Nodes, returning an Array of proof handle objects, one for each submitted hash and Node combination.
- * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form.
+ * Any number of hashes may be submitted. They are split into batches no larger than a Node will accept and every
+ * batch is sent to the same set of Nodes. Any failed Node request causes the whole call to fail, use
+ * submitHashesSettled() to keep the handles from the Nodes that succeeded instead.
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form, each 40 to 128 characters long.
  * @param {Array<String>} uris - An Array of String URI's. Each hash will be submitted to each Node URI provided. If none provided three will be chosen at random using service discovery.
+ * @param {Object} options - [Optional] `batchSize` (max hashes per request, <= 250) and `concurrency` (max batches in flight at once).
+ * Set `algorithm` to require every hash to be the digest length of that algorithm.
  * @return {Array<{uri: String, hash: String, hashIdNode: String, groupId: String}>} An Array of Objects, each a handle that contains all info needed to retrieve a proof.
  */
-export async function submitHashes(hashes, uris) {
+export async function submitHashes(hashes, uris, options = {}) {
+  let batchResults = await submitBatches(hashes, uris, options, { settled: false })
+  return flatten(map(batchResults, 'proofHandles'))
+}
+
+/**
+ * Submit hash(es) to one or more Nodes like submitHashes(), but settle every Node request on its own so that a
+ * Node that fails or cannot be reached does not cause the whole call to fail. Each batch must be accepted by at
+ * least `minNodes` Nodes, a batch accepted by fewer is reported in `failedBatches` and its handles are left out,
+ * so its hashes can be submitted again. Handles from every other batch are still returned.
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form, each 40 to 128 characters long.
+ * @param {Array<String>} uris - An Array of String URI's. Each hash will be submitted to each Node URI provided. If none provided three will be chosen at random using service discovery.
+ * @param {Object} options - [Optional] `minNodes` the number of Nodes that must accept each batch (default 1),
+ * and `batchSize`, `concurrency` and `algorithm` as for submitHashes().
+ * @return {{proofHandles: Array<Object>, errors: Array<Object>, failedBatches: Array<Object>}} The proof handles, as returned by
+ * submitHashes(), from the batches accepted by enough Nodes. `errors` has a `{uri, status, message, batch}` Object for
+ * each failed Node request and `failedBatches` a `{batch, hashes, message}` Object for each batch accepted by too few Nodes.
+ */
+export async function submitHashesSettled(hashes, uris, options = {}) {
+  let batchResults = await submitBatches(hashes, uris, options, { settled: true })
+  return {
+    proofHandles: flatten(map(batchResults, 'proofHandles')),
+    errors: flatten(map(batchResults, 'errors')),
+    failedBatches: compact(map(batchResults, 'failedBatch'))
+  }
+}
+
+/**
+ * Validate the args of submitHashes() or submitHashesSettled() and submit every batch of hashes
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form
+ * @param {Array<String>} uris - An Array of String URI's, or empty to use service discovery
+ * @param {Object} options - The options passed to submitHashes() or submitHashesSettled()
+ * @param {Object} mode - `settled` whether each Node request settles on its own
+ * @return {Array<Object>} The result of submitHashBatch() for each batch, in batch order
+ */
+async function submitBatches(hashes, uris, options, { settled }) {
   uris = uris || []
+  let {
+    batchSize = MAX_HASHES_PER_REQUEST,
+    concurrency = DEFAULT_SUBMIT_CONCURRENCY,
+    minNodes = 1,
+    algorithm
+  } = options
   let nodes
 
   // Validate args before doing anything else
-  validateHashesArg(hashes, h => isHex(h))
+  validateHashes(hashes, { algorithm })
   validateUrisArg(uris)
+  if (!isInteger(batchSize) || batchSize < 1 || batchSize > MAX_HASHES_PER_REQUEST)
+    throw new Error(`batchSize option must be an Integer between 1 and ${MAX_HASHES_PER_REQUEST}`)
+  if (!isInteger(concurrency) || concurrency < 1) throw new Error('concurrency option must be an Integer >= 1')
+  if (!isInteger(minNodes) || minNodes < 1) throw new Error('minNodes option must be an Integer >= 1')
 
   if (isEmpty(uris)) {
     // get a list of nodes via service discovery
@@ -50,6 +107,28 @@ export async function submitHashes(hashes, uris) {
     nodes = uris
   }
 
+  if (settled && minNodes > nodes.length)
+    throw new Error(`minNodes option (${minNodes}) is greater than the number of Nodes available (${nodes.length})`)
+
+  // Each batch gets its own groupIds from mapSubmitHashesRespToProofHandles, which
+  // are shared by the handles for the same hash across all Nodes in that batch.
+  // Results are kept in batch order so handles follow the order of `hashes`.
+  let batches = chunk(hashes, batchSize)
+  return mapConcurrent(batches, concurrency, (batch, index) =>
+    submitHashBatch(batch, nodes, { settled, minNodes, batch: index })
+  )
+}
+
+/**
+ * Submit a single batch of hashes to every Node in `nodes`
+ * @param {Array<String>} hashes - An Array of no more than 250 String Hashes in Hexadecimal form.
+ * @param {Array<String>} nodes - An Array of validated Node URIs
+ * @param {Object} options - `settled` whether each Node request settles on its own, `minNodes` as passed to
+ * submitHashesSettled, and the `batch` index used for error reporting
+ * @return {{proofHandles: Array<Object>, errors: Array<Object>, failedBatch: Object}} The proof handles for the batch,
+ * any failed Node requests, and the `failedBatch` if it was accepted by fewer than `minNodes` Nodes
+ */
+async function submitHashBatch(hashes, nodes, { settled, minNodes, batch }) {
   try {
     // Setup an options Object for each Node we'll submit hashes to.
     // Each Node will then be sent the full Array of hashes.
@@ -79,8 +158,35 @@ export async function submitHashes(hashes, uris) {
       return postOptions
     })
 
-    // All requests succeed in parallel or all fail.
-    const parsedBody = await fetchEndpoints(nodesWithPostOpts)
+    let parsedBody
+    let acceptedNodes = nodes
+    let errors = []
+    if (settled) {
+      // Each request settles on its own. Keep the Nodes that accepted the hashes
+      // and report the others, as long as enough Nodes succeeded.
+      let results = await fetchEndpointsSettled(nodesWithPostOpts)
+      let succeeded = []
+      parsedBody = []
+      forEach(results, (result, index) => {
+        if (result.error) {
+          errors.push({ uri: nodes[index], status: result.status, message: result.error.message, batch })
+        } else {
+          succeeded.push(nodes[index])
+          parsedBody.push(result.value)
+        }
+      })
+      acceptedNodes = succeeded
+
+      if (acceptedNodes.length < minNodes) {
+        let message = `Only ${acceptedNodes.length} of ${
+          results.length
+        } Nodes accepted the hashes, at least ${minNodes} required`
+        return { proofHandles: [], errors, failedBatch: { batch, hashes, message } }
+      }
+    } else {
+      // All requests succeed in parallel or all fail.
+      parsedBody = await fetchEndpoints(nodesWithPostOpts)
+    }
 
     // Nodes cannot be guaranteed to know what IP address they are reachable
     // at, so we need to amend each result with the Node URI it was submitted
@@ -88,14 +194,14 @@ export async function submitHashes(hashes, uris) {
     // This mapping relies on that fact that fetchEndpoints returns results in the
     // same order that options were passed to it so the results can be mapped to
     // the Nodes submitted to.
-    forEach(nodes, (uri, index) => {
+    forEach(acceptedNodes, (uri, index) => {
       if (parsedBody[index]) parsedBody[index].meta.submitted_to = uri
     })
 
     // Map the API response to a form easily consumable by getProofs
     let proofHandles = mapSubmitHashesRespToProofHandles(parsedBody)
 
-    return proofHandles
+    return { proofHandles, errors }
   } catch (err) {
     console.error(err.message)
     throw err
@@ -0,0 +1,51 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isArray, isEmpty, omit } from 'lodash'
+
+import * as submit from './submit'
+import { validateUrisArg } from './utils/helpers'
+import { hashData, validateHashAlgorithm, DEFAULT_HASH_ALGORITHM } from './utils/hashing'
+import { getProofHandleIndexes } from './utils/proofs'
+
+/**
+ * Hash in-memory data on the client and submit the digests to one or more Nodes, returning an Array of
+ * proof handle objects, one for each submitted item and Node combination.
+ * @param {Array<Buffer|String|ArrayBuffer|TypedArray>} items - An Array of data to be hashed. Strings are hashed as UTF-8.
+ * @param {Object} options - [Optional] `algorithm` to hash with (defaults to 'sha-256') and `uris` to submit to.
+ * Any other options are passed on to submitHashes.
+ * @return {Array<{uri: String, hash: String, proofId: String, groupId: String, algorithm: String, index: Number}>} An Array of Objects,
+ * each a handle that contains all info needed to retrieve a proof.
+ */
+async function submitData(items, options = {}) {
+  let { algorithm = DEFAULT_HASH_ALGORITHM, uris = [] } = options
+
+  if (!isArray(items)) throw new Error('items arg must be an Array')
+  if (isEmpty(items)) throw new Error('items arg must be a non-empty Array')
+  validateHashAlgorithm(algorithm)
+  validateUrisArg(uris)
+
+  const hashes = await Promise.all(items.map(item => hashData(item, algorithm)))
+
+  let proofHandles = await submit.submitHashes(hashes, uris, omit(options, ['algorithm', 'uris']))
+
+  let indexes = getProofHandleIndexes(proofHandles)
+  proofHandles.forEach((proofHandle, i) => {
+    proofHandle.algorithm = algorithm
+    proofHandle.index = indexes[i]
+  })
+
+  return proofHandles
+}
+
+export default submitData
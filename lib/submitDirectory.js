@@ -0,0 +1,82 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import path from 'path'
+import minimatch from 'minimatch'
+import { isString, isEmpty, castArray, some, omit, forEach } from 'lodash'
+
+import * as submit from './submit'
+import { walkDirectory, sha256FileByPath, mapConcurrent, validateUrisArg } from './utils/helpers'
+import { getProofHandleIndexes } from './utils/proofs'
+import { FILE_HASH_CONCURRENCY } from './constants'
+
+/**
+ * Submit hashes of every file in a directory tree to one or more Nodes, returning a manifest that maps
+ * the path of each file, relative to `root`, to its proof handles.
+ * @param {String} root - The directory to submit
+ * @param {Object} options - [Optional] `include` and `exclude` glob pattern(s) matched against relative paths,
+ * `followSymlinks` to follow symbolic links, and `uris` to submit to. Any other options are passed on to submitHashes.
+ * @return {{root: String, files: Object<String, Array<Object>>, skipped: Array<String>}} The manifest
+ */
+async function submitDirectory(root, options = {}) {
+  let { include = ['**'], exclude = [], followSymlinks = false, uris = [] } = options
+
+  if (!isString(root) || isEmpty(root)) throw new Error('root arg must be a directory path')
+  include = castArray(include)
+  exclude = castArray(exclude)
+  validateUrisArg(uris)
+
+  root = path.resolve(root)
+  let relativePaths = await walkDirectory(root, { followSymlinks })
+
+  // match dotfiles too so that `**` really does mean every file
+  let matches = (relativePath, patterns) => some(patterns, pattern => minimatch(relativePath, pattern, { dot: true }))
+  relativePaths = relativePaths.filter(
+    relativePath => matches(relativePath, include) && !matches(relativePath, exclude)
+  )
+
+  let hashObjs = await mapConcurrent(relativePaths, FILE_HASH_CONCURRENCY, async relativePath => {
+    let hashObj = await sha256FileByPath(path.join(root, relativePath))
+    return { ...hashObj, relativePath }
+  })
+
+  let skipped = []
+  hashObjs = hashObjs.filter(hashObj => {
+    if (hashObj.error === 'EACCES') skipped.push(hashObj.relativePath)
+    return hashObj.error !== 'EACCES'
+  })
+
+  let manifest = { root, files: {}, skipped }
+  if (isEmpty(hashObjs)) return manifest
+
+  let hashes = hashObjs.map(hashObj => hashObj.hash)
+  let proofHandles = await submit.submitHashes(
+    hashes,
+    uris,
+    omit(options, ['include', 'exclude', 'followSymlinks', 'uris'])
+  )
+
+  // Map handles back to files by position rather than by hash,
+  // so files with identical contents each get their own handles
+  let indexes = getProofHandleIndexes(proofHandles)
+  forEach(hashObjs, hashObj => (manifest.files[hashObj.relativePath] = []))
+  forEach(proofHandles, (proofHandle, i) => {
+    let hashObj = hashObjs[indexes[i]]
+    proofHandle.path = hashObj.path
+    manifest.files[hashObj.relativePath].push(proofHandle)
+  })
+
+  return manifest
+}
+
+export default submitDirectory
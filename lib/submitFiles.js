@@ -11,27 +11,46 @@
  * limitations under the License.
  */
 
+import { has, omit } from 'lodash'
+
 import * as submit from './submit'
 import { getFileHashes, validateUrisArg } from './utils/helpers'
+import { getProofHandleIndexes } from './utils/proofs'
+import { throwIfAborted } from './utils/hashing'
 
 /**
  * Submit hash(es) of selected file(s) to one or more Nodes, returning an Array of proof handle objects, one for each submitted hash and Node combination.
- * @param {Array<String>} paths - An Array of paths of the files to be hashed.
+ * @param {Array<String|Blob>} paths - An Array of paths of the files to be hashed. In the browser, File or Blob objects.
  * @param {Array<String>} uris - An Array of String URI's. Each hash will be submitted to each Node URI provided. If none provided three will be chosen at random using service discovery.
+ * @param {Object} options - [Optional] `onProgress`, `emitter` and `signal` as accepted by getFileHashes. Any other options are passed on to submitHashes.
  * @return {Array<{path: String, uri: String, hash: String, hashIdNode: String, groupId: String}>} An Array of Objects, each a handle that contains all info needed to retrieve a proof.
+ * Handles for a File or Blob have its `name`, `size` and `lastModified` in place of `path`.
  */
-async function submitFileHashes(paths, uris) {
+async function submitFileHashes(paths, uris, options = {}) {
   uris = uris || []
-  const hashObjs = await getFileHashes(paths)
+  const { onProgress, emitter, signal } = options
+  const hashObjs = await getFileHashes(paths, { onProgress, emitter, signal })
   const hashes = hashObjs.map(hashObj => hashObj.hash)
   // Validate all Node URIs provided
   validateUrisArg(uris)
+  // don't submit anything if hashing was cancelled once it had finished
+  throwIfAborted(signal)
 
-  const proofHandles = await submit.submitHashes(hashes, uris)
-  return proofHandles.map(proofHandle => {
-    proofHandle.path = hashObjs.find(hashObj => hashObj.hash === proofHandle.hash).path
-    return proofHandle
+  const proofHandles = await submit.submitHashes(hashes, uris, omit(options, ['onProgress', 'emitter', 'signal']))
+  // Map handles back to files by position rather than by hash,
+  // so files with identical contents each get their own path
+  const indexes = getProofHandleIndexes(proofHandles)
+  proofHandles.forEach((proofHandle, i) => {
+    let hashObj = hashObjs[indexes[i]]
+    if (has(hashObj, 'path')) {
+      proofHandle.path = hashObj.path
+    } else {
+      proofHandle.name = hashObj.name
+      proofHandle.size = hashObj.size
+      proofHandle.lastModified = hashObj.lastModified
+    }
   })
+  return proofHandles
 }
 
 export default submitFileHashes
@@ -0,0 +1,108 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { has, includes, map } from 'lodash'
+
+import { proofToObject, parseProofs, applyProofOp } from './utils/proofs'
+import { isHex, testArrayArg } from './utils/helpers'
+
+/**
+ * Evaluate a proof one operation at a time, recording the value before and after every operation, so the
+ * evaluation can be audited and replayed independently of this client. The trace only contains Strings,
+ * Numbers and Arrays, so it can be exported with JSON.stringify().
+ *
+ * Each branch has the `label` from the proof, the `start` value, a `steps` Array and any child `branches`.
+ * Each step has the `index` of the op in the branch, the `op` ('l', 'r', the name of a hash, or 'anchors'),
+ * and the `input` and `output` values in Hexadecimal. 'l' and 'r' steps also have the `operand` from the proof
+ * and its `encoding`, 'hex' or 'utf8'. 'anchors' steps have the `anchors` at that point, each with its
+ * `expected_value`, which is the output in reverse byte order for btc and tbtc anchors.
+ *
+ * @param {Object|String|Buffer} proof - A proof in any supported format, or a getProofs() result
+ * @return {{hash: String, proof_id: String, hash_received: String, branches: Array<Object>}} The trace of the proof
+ */
+export function traceProof(proof) {
+  let proofObj = proofToObject(proof)
+  // Validate the proof against the Chainpoint schema before evaluating it
+  parseProofs([proofObj])
+
+  return {
+    hash: proofObj.hash,
+    proof_id: proofObj.proof_id,
+    hash_received: proofObj.hash_received,
+    branches: traceBranches(proofObj.hash, proofObj.branches)
+  }
+}
+
+/**
+ * Trace one or more proofs. See traceProof().
+ *
+ * @param {Array} proofs - An Array of proofs in any supported format, or getProofs() results
+ * @return {Array<Object>} The trace of each proof, in the same order as `proofs`
+ */
+function traceProofs(proofs) {
+  testArrayArg(proofs)
+
+  return map(proofs, (proof, index) => {
+    try {
+      return traceProof(proof)
+    } catch (err) {
+      throw new Error(`proofs[${index}] could not be traced : ${err.message}`)
+    }
+  })
+}
+
+/**
+ * Trace an Array of proof branches, each starting from the same value
+ *
+ * @param {String} start - The value in Hexadecimal the branches start from
+ * @param {Array<Object>} branches - The branches from the proof
+ * @returns {Array<Object>} The trace of each branch
+ */
+function traceBranches(start, branches) {
+  return map(branches, branch => {
+    let value = Buffer.from(start, 'hex')
+    let steps = map(branch.ops, (op, index) => {
+      let input = value.toString('hex')
+      let step = { index }
+      value = applyProofOp(value, op)
+
+      if (has(op, 'l') || has(op, 'r')) {
+        let side = has(op, 'l') ? 'l' : 'r'
+        Object.assign(step, { op: side, operand: op[side], encoding: isHex(op[side]) ? 'hex' : 'utf8' })
+      } else if (has(op, 'op')) {
+        step.op = op.op
+      } else if (has(op, 'anchors')) {
+        step.op = 'anchors'
+        step.anchors = map(op.anchors, anchor => ({
+          type: anchor.type,
+          anchor_id: anchor.anchor_id,
+          uris: anchor.uris,
+          // Bitcoin merkle roots are displayed in little endian byte order
+          expected_value: includes(['btc', 'tbtc'], anchor.type)
+            ? Buffer.from(value)
+                .reverse()
+                .toString('hex')
+            : value.toString('hex')
+        }))
+      }
+
+      return { ...step, input, output: value.toString('hex') }
+    })
+
+    let branchTrace = { label: branch.label, start, steps }
+    if (branch.branches) branchTrace.branches = traceBranches(value.toString('hex'), branch.branches)
+    return branchTrace
+  })
+}
+
+export default traceProofs
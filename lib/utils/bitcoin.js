@@ -0,0 +1,161 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * helper functions for decoding Bitcoin transactions, so the transactions
+ * in proofs can be checked without a Bitcoin node
+ */
+
+import crypto from 'crypto'
+import { isString, times } from 'lodash'
+import { isHex } from './helpers'
+
+const OP_RETURN = 0x6a
+const OP_PUSHDATA1 = 0x4c
+const OP_PUSHDATA2 = 0x4d
+
+/**
+ * Double SHA-256 hash a value, as Bitcoin does for transaction ids and merkle trees
+ *
+ * @param {Buffer} value - The value to hash
+ * @returns {Buffer} The hash, in internal byte order
+ */
+export function sha256x2(value) {
+  let sha256 = data =>
+    crypto
+      .createHash('sha256')
+      .update(data)
+      .digest()
+  return sha256(sha256(value))
+}
+
+/**
+ * Create a reader over a Buffer that throws if it reads past the end
+ *
+ * @param {Buffer} buffer - The Buffer to read
+ * @returns {Object} The reader
+ */
+function createReader(buffer) {
+  let offset = 0
+  let take = length => {
+    if (offset + length > buffer.length) throw new Error('raw transaction is truncated')
+    let bytes = buffer.slice(offset, offset + length)
+    offset += length
+    return bytes
+  }
+  let reader = {
+    take,
+    offset: () => offset,
+    remaining: () => buffer.length - offset,
+    uint8: () => take(1).readUInt8(0),
+    uint32: () => take(4).readUInt32LE(0),
+    // satoshi values can be larger than 32 bits, but always fit in a Number
+    uint64: () => {
+      let bytes = take(8)
+      return bytes.readUInt32LE(4) * 0x100000000 + bytes.readUInt32LE(0)
+    },
+    varInt: () => {
+      let first = reader.uint8()
+      if (first < 0xfd) return first
+      if (first === 0xfd) return take(2).readUInt16LE(0)
+      if (first === 0xfe) return reader.uint32()
+      return reader.uint64()
+    }
+  }
+  return reader
+}
+
+/**
+ * Decode a raw Bitcoin transaction, with or without segregated witness data
+ *
+ * @param {String} rawTx - The raw transaction in Hexadecimal
+ * @returns {{txid: String, version: Number, inputs: Array<Object>, outputs: Array<Object>, locktime: Number}}
+ * The decoded transaction. Each input has the `txid` and `vout` of the output it spends, its `script` and `sequence`,
+ * and each output has its `value` in satoshis and `script`. Scripts are in Hexadecimal.
+ */
+export function decodeBtcTx(rawTx) {
+  if (!isString(rawTx) || !isHex(rawTx)) throw new Error('raw transaction must be a Hexadecimal String')
+  let buffer = Buffer.from(rawTx, 'hex')
+  let reader = createReader(buffer)
+
+  let version = reader.uint32()
+  // segwit transactions have a 0 marker and 1 flag where the input count would be
+  let hasWitness = buffer.length > 6 && buffer[4] === 0 && buffer[5] === 1
+  if (hasWitness) reader.take(2)
+  let bodyStart = reader.offset()
+
+  let inputs = times(reader.varInt(), () => ({
+    txid: Buffer.from(reader.take(32))
+      .reverse()
+      .toString('hex'),
+    vout: reader.uint32(),
+    script: reader.take(reader.varInt()).toString('hex'),
+    sequence: reader.uint32()
+  }))
+  let outputs = times(reader.varInt(), () => ({
+    value: reader.uint64(),
+    script: reader.take(reader.varInt()).toString('hex')
+  }))
+  let bodyEnd = reader.offset()
+
+  if (hasWitness) {
+    inputs.forEach(input => {
+      input.witness = times(reader.varInt(), () => reader.take(reader.varInt()).toString('hex'))
+    })
+  }
+  let locktime = reader.uint32()
+  if (reader.remaining() > 0) throw new Error('raw transaction has unexpected trailing data')
+
+  // The txid does not commit to witness data, so is the hash of the transaction without it
+  let txData = hasWitness
+    ? Buffer.concat([buffer.slice(0, 4), buffer.slice(bodyStart, bodyEnd), buffer.slice(buffer.length - 4)])
+    : buffer
+
+  return {
+    txid: sha256x2(txData)
+      .reverse()
+      .toString('hex'),
+    version,
+    inputs,
+    outputs,
+    locktime
+  }
+}
+
+/**
+ * Get the data pushed by an OP_RETURN output script
+ *
+ * @param {String} script - The output script in Hexadecimal
+ * @returns {String} The data in Hexadecimal, or null if the script is not an OP_RETURN with a single push
+ */
+export function getOpReturnData(script) {
+  let buffer = Buffer.from(script, 'hex')
+  if (buffer[0] !== OP_RETURN || buffer.length < 2) return null
+
+  let opcode = buffer[1]
+  let start = 2
+  let length = opcode
+  if (opcode === OP_PUSHDATA1) {
+    length = buffer[2]
+    start = 3
+  } else if (opcode === OP_PUSHDATA2) {
+    if (buffer.length < 4) return null
+    length = buffer.readUInt16LE(2)
+    start = 4
+  } else if (opcode > 75) {
+    return null
+  }
+
+  if (start + length !== buffer.length) return null
+  return buffer.slice(start).toString('hex')
+}
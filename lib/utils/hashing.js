@@ -0,0 +1,193 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * helper functions for hashing data on the client before it is submitted,
+ * in both Node.js and the browser
+ */
+
+import crypto from 'crypto'
+import { sha3_256 as sha3256 } from 'js-sha3'
+import { blake2bHex } from 'blakejs'
+import { has, keys, isString, isBuffer, isArrayBuffer, isTypedArray, isFunction, isObject, isNumber } from 'lodash'
+
+// Supported algorithms, keyed by the name used by this client, with the
+// equivalent names used by Node's crypto module and by WebCrypto (when supported)
+// and the length of their digests in Hexadecimal characters
+export const HASH_ALGORITHMS = {
+  'sha-256': { node: 'sha256', webCrypto: 'SHA-256', hexLength: 64 },
+  'sha-512': { node: 'sha512', webCrypto: 'SHA-512', hexLength: 128 },
+  'sha3-256': { node: 'sha3-256', js: data => sha3256(data), hexLength: 64 },
+  'blake2b-512': { node: 'blake2b512', js: data => blake2bHex(data), hexLength: 128 }
+}
+
+export const DEFAULT_HASH_ALGORITHM = 'sha-256'
+
+// size of each slice read from a Blob while hashing it
+export const BLOB_CHUNK_SIZE = 4 * 1024 * 1024
+
+/**
+ * Checks if an algorithm name is supported by hashData
+ *
+ * @param {string} algorithm - The algorithm name to check
+ * @returns {bool} true if supported, otherwise false
+ */
+export function isValidHashAlgorithm(algorithm) {
+  return isString(algorithm) && has(HASH_ALGORITHMS, algorithm)
+}
+
+/**
+ * Throws if an algorithm name is not supported by hashData
+ *
+ * @param {string} algorithm - The algorithm name to check
+ * @returns {void}
+ */
+export function validateHashAlgorithm(algorithm) {
+  if (!isValidHashAlgorithm(algorithm))
+    throw new Error(`algorithm must be one of ${keys(HASH_ALGORITHMS).join(', ')}, got ${algorithm}`)
+}
+
+/**
+ * Get the WebCrypto SubtleCrypto interface if this is running in a browser that provides one
+ * @returns {Object} SubtleCrypto or undefined
+ */
+function getSubtleCrypto() {
+  if (typeof window === 'object' && window.crypto && window.crypto.subtle) return window.crypto.subtle
+}
+
+/**
+ * Checks if Node's crypto module (not a browser shim) supports an algorithm
+ * @param {string} name - The crypto module algorithm name
+ * @returns {bool} true if crypto.createHash supports the algorithm
+ */
+function hasNodeHash(name) {
+  return isFunction(crypto.getHashes) && crypto.getHashes().includes(name)
+}
+
+/**
+ * Convert a Buffer, String (hashed as UTF-8), ArrayBuffer or typed array to a Uint8Array of its bytes
+ *
+ * @param {Buffer|String|ArrayBuffer|TypedArray} data - The data to convert
+ * @returns {Uint8Array} The bytes of the data
+ */
+export function toBytes(data) {
+  if (isBuffer(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  if (isString(data)) return new Uint8Array(Buffer.from(data, 'utf8'))
+  if (isArrayBuffer(data)) return new Uint8Array(data)
+  if (isTypedArray(data) || data instanceof DataView)
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  throw new Error('data must be a Buffer, String, ArrayBuffer, or typed array')
+}
+
+/**
+ * Hash a single piece of in-memory data. Uses WebCrypto in the browser when it supports the
+ * algorithm, Node's crypto module when available, and a JavaScript implementation otherwise.
+ *
+ * @param {Buffer|String|ArrayBuffer|TypedArray} data - The data to hash. Strings are hashed as UTF-8.
+ * @param {string} algorithm - [Optional] One of the HASH_ALGORITHMS names, defaults to 'sha-256'
+ * @returns {Promise<string>} The Hexadecimal digest of the data
+ */
+export async function hashData(data, algorithm = DEFAULT_HASH_ALGORITHM) {
+  validateHashAlgorithm(algorithm)
+  let bytes = toBytes(data)
+  let { node, webCrypto, js } = HASH_ALGORITHMS[algorithm]
+
+  let subtle = getSubtleCrypto()
+  if (subtle && webCrypto) {
+    let digest = await subtle.digest(webCrypto, bytes)
+    return Buffer.from(digest).toString('hex')
+  }
+
+  if (hasNodeHash(node)) {
+    return crypto
+      .createHash(node)
+      .update(bytes)
+      .digest('hex')
+  }
+
+  if (js) return js(bytes)
+  throw new Error(`${algorithm} hashing is not available in this environment`)
+}
+
+/**
+ * Checks if value is a browser Blob or File (or an Object that behaves like one)
+ *
+ * @param {*} value - The value to check
+ * @returns {bool} true if value is Blob like, otherwise false
+ */
+export function isBlob(value) {
+  if (typeof Blob === 'function' && value instanceof Blob) return true
+  return isObject(value) && isNumber(value.size) && isFunction(value.slice) && !isBuffer(value)
+}
+
+/**
+ * Read a Blob into an ArrayBuffer, falling back to FileReader in browsers without Blob.arrayBuffer()
+ * @param {Blob} blob - The Blob to read
+ * @returns {Promise<ArrayBuffer>} The contents of the Blob
+ */
+export function readBlob(blob) {
+  if (isFunction(blob.arrayBuffer)) return blob.arrayBuffer()
+  return new Promise((resolve, reject) => {
+    let reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsArrayBuffer(blob)
+  })
+}
+
+/**
+ * Create the Error used to reject when hashing is cancelled through an AbortSignal
+ * @returns {Error} An Error with the name 'AbortError'
+ */
+export function createAbortError() {
+  let err = new Error('Hashing was aborted')
+  err.name = 'AbortError'
+  return err
+}
+
+/**
+ * Throws an AbortError if an optional AbortSignal has been aborted
+ * @param {AbortSignal} signal - The signal to check, may be undefined
+ * @returns {void}
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw createAbortError()
+}
+
+/**
+ * SHA-256 hash a browser File or Blob. The Blob is read and hashed one slice at a time
+ * so large files never need to be held in memory all at once.
+ *
+ * @param {Blob} blob - The File or Blob to hash
+ * @param {Object} options - [Optional] `chunkSize` (bytes read at a time), `onProgress` called with `{bytesRead}`
+ * after each chunk, and an AbortSignal `signal` to cancel hashing
+ * @returns {Promise<{name: String, size: Number, lastModified: Number, hash: String}>} The hash and details of the File
+ */
+export async function sha256Blob(blob, { chunkSize = BLOB_CHUNK_SIZE, onProgress, signal } = {}) {
+  let sha256 = crypto.createHash('sha256')
+  for (let start = 0; start < blob.size; start += chunkSize) {
+    throwIfAborted(signal)
+    let end = Math.min(start + chunkSize, blob.size)
+    let chunk = await readBlob(blob.slice(start, end))
+    sha256.update(Buffer.from(chunk))
+    if (isFunction(onProgress)) onProgress({ bytesRead: end })
+  }
+  throwIfAborted(signal)
+
+  return {
+    name: blob.name,
+    size: blob.size,
+    lastModified: blob.lastModified,
+    hash: sha256.digest('hex')
+  }
+}
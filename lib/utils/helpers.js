@@ -1,8 +1,31 @@
 import fs from 'fs'
+import path from 'path'
+import { promisify } from 'util'
 import crypto from 'crypto'
 import uuidValidate from 'uuid-validate'
 import fetch from 'node-fetch'
-import { isEmpty, isArray, reject, isFunction } from 'lodash'
+import {
+  isEmpty,
+  isArray,
+  reject,
+  isFunction,
+  isInteger,
+  isNumber,
+  isString,
+  isUndefined,
+  includes,
+  sum,
+  forEach,
+  stubTrue
+} from 'lodash'
+import { HASH_ALGORITHMS, isBlob, sha256Blob, createAbortError, validateHashAlgorithm } from './hashing'
+import {
+  MIN_HASH_LENGTH,
+  MAX_HASH_LENGTH,
+  DEFAULT_WAIT_INTERVAL,
+  MAX_WAIT_INTERVAL,
+  DEFAULT_WAIT_TIMEOUTS
+} from '../constants'
 
 /**
  * Checks if value is a hexadecimal string
@@ -35,12 +58,36 @@ export function isSecureOrigin() {
   return typeof window === 'object' && window.location.protocol === 'https:'
 }
 
-export function sha256FileByPath(path) {
+/**
+ * SHA-256 hash a file, reading it as a stream
+ *
+ * @param {String} path - The path of the file to hash
+ * @param {Object} options - [Optional] `onProgress` called with `{bytesRead}` as the file is read,
+ * and an AbortSignal `signal` to cancel hashing
+ * @returns {Promise<{path: String, hash: String}>} The path and hash of the file
+ */
+export function sha256FileByPath(path, { onProgress, signal } = {}) {
   return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError())
+
     let sha256 = crypto.createHash('sha256')
+    let bytesRead = 0
     let readStream = fs.createReadStream(path)
-    readStream.on('data', data => sha256.update(data))
+
+    let onAbort = () => {
+      readStream.destroy()
+      reject(createAbortError())
+    }
+    if (signal) signal.addEventListener('abort', onAbort)
+    let cleanup = () => signal && signal.removeEventListener('abort', onAbort)
+
+    readStream.on('data', data => {
+      sha256.update(data)
+      bytesRead += data.length
+      if (isFunction(onProgress)) onProgress({ bytesRead })
+    })
     readStream.on('end', () => {
+      cleanup()
       let hash = sha256.digest('hex')
       resolve({
         path,
@@ -48,6 +95,7 @@ export function sha256FileByPath(path) {
       })
     })
     readStream.on('error', err => {
+      cleanup()
       if (err.code === 'EACCES') {
         resolve({
           path: path,
@@ -60,21 +108,58 @@ export function sha256FileByPath(path) {
   })
 }
 
+/**
+ * Make a single request described by an options Object with `uri`, `method`, and `body` properties.
+ * Any other properties are passed through to fetch.
+ *
+ * @param {Object} opts - The request options
+ * @returns {Promise<{res: Object, body: *}>} The fetch response and its parsed JSON body, or text if not JSON
+ */
+export async function requestEndpoint(opts) {
+  let obj = JSON.parse(JSON.stringify(opts))
+  let method = obj.method
+  let uri = obj.uri
+  let body = obj.body && Object.keys(obj.body).length ? JSON.stringify(obj.body) : undefined
+
+  delete obj.method
+  delete obj.uri
+  delete obj.body
+  let res = await fetch(uri, { method, ...obj, body })
+  let res1 = res.clone()
+
+  return { res, body: await res.json().catch(() => res1.text()) }
+}
+
 export function fetchEndpoints(arr) {
   return Promise.all(
     arr.map(async currVal => {
-      let obj = JSON.parse(JSON.stringify(currVal))
-      let method = obj.method
-      let uri = obj.uri
-      let body = obj.body && Object.keys(obj.body).length ? JSON.stringify(obj.body) : undefined
-
-      delete obj.method
-      delete obj.uri
-      delete obj.body
-      let res = await fetch(uri, { method, ...obj, body })
-      let res1 = res.clone()
-
-      return res.json().catch(() => res1.text())
+      let { body } = await requestEndpoint(currVal)
+      return body
+    })
+  )
+}
+
+/**
+ * Like fetchEndpoints but each request settles on its own, so one failed endpoint
+ * does not reject the whole set. Non 2xx responses are treated as failures.
+ *
+ * @param {Array<Object>} arr - An Array of request options, as passed to fetchEndpoints
+ * @returns {Promise<Array<{uri: String, status: Number, value: *, error: Error}>>} An Array with a result
+ * for each request, in the same order. Successful results have a `value`, failed results have an `error`.
+ * `status` is the HTTP status code or null if no response was received.
+ */
+export function fetchEndpointsSettled(arr) {
+  return Promise.all(
+    arr.map(async currVal => {
+      let status = null
+      try {
+        let { res, body } = await requestEndpoint(currVal)
+        status = res.status
+        if (!res.ok) throw new Error((body && body.message) || res.statusText || `HTTP status ${status}`)
+        return { uri: currVal.uri, status, value: body }
+      } catch (error) {
+        return { uri: currVal.uri, status, error }
+      }
     })
   )
 }
@@ -83,19 +168,153 @@ export function fetchEndpoints(arr) {
  * Helper function to validate a hashes argument that would be passed to other functions
  * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form.
  * @param {Function} validator - a function to validate the array of items being validated
+ * @param {Number} maxLength - [Optional] max number of items allowed, defaults to 250. Pass `Infinity` for no limit.
  * @returns {void}
  */
-export function validateHashesArg(args, validator) {
+export function validateHashesArg(args, validator, maxLength = 250) {
   // Validate all hashes provided
   if (!isArray(args)) throw new Error('1st arg must be an Array')
   if (isEmpty(args)) throw new Error('1st arg must be a non-empty Array')
-  if (args.length > 250) throw new Error('1st arg must be an Array with <= 250 elements')
+  if (args.length > maxLength) throw new Error(`1st arg must be an Array with <= ${maxLength} elements`)
 
   if (!validator || !isFunction(validator)) throw new Error('Need a validator function to test argument')
   let rejects = reject(args, validator)
   if (!isEmpty(rejects)) throw new Error(`arg contains invalid items : ${rejects.join(', ')}`)
 }
 
+/**
+ * Get the reason a hash would be rejected for submission, if any.
+ * Without an algorithm the hash must be between 40 and 128 Hexadecimal characters,
+ * with one it must be exactly the length of that algorithm's digest.
+ *
+ * @param {string} hash - The hash to check
+ * @param {string} algorithm - [Optional] One of the HASH_ALGORITHMS names the hash was made with
+ * @returns {string} A description of what is wrong with the hash, or null if it is valid
+ */
+export function getHashError(hash, algorithm) {
+  if (!isString(hash)) return 'must be a String'
+  if (!/^[0-9a-f]*$/i.test(hash)) return 'must only contain Hexadecimal characters'
+  if (hash.length % 2) return `must have an even number of characters, got ${hash.length}`
+  if (algorithm) {
+    let { hexLength } = HASH_ALGORITHMS[algorithm]
+    if (hash.length !== hexLength) return `must be ${hexLength} characters for ${algorithm}, got ${hash.length}`
+  } else if (hash.length < MIN_HASH_LENGTH || hash.length > MAX_HASH_LENGTH) {
+    return `must be between ${MIN_HASH_LENGTH} and ${MAX_HASH_LENGTH} characters, got ${hash.length}`
+  }
+  return null
+}
+
+/**
+ * Checks if a hash can be submitted to a Node
+ *
+ * @param {string} hash - The hash to check
+ * @param {string} algorithm - [Optional] One of the HASH_ALGORITHMS names the hash was made with
+ * @returns {bool} true if the hash is valid, otherwise false
+ */
+export function isValidHash(hash, algorithm) {
+  return getHashError(hash, algorithm) === null
+}
+
+/**
+ * Validate an Array of hashes to be submitted, checking every hash rather than stopping at the first bad one.
+ * Throws an Error with an `errors` property listing `{index, hash, reason}` for each invalid hash.
+ *
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form
+ * @param {Object} options - [Optional] `algorithm` the hashes were made with, and `maxLength` of the Array (defaults to no limit)
+ * @returns {void}
+ */
+export function validateHashes(hashes, { algorithm, maxLength = Infinity } = {}) {
+  validateHashesArg(hashes, stubTrue, maxLength)
+  if (!isUndefined(algorithm)) validateHashAlgorithm(algorithm)
+
+  let errors = []
+  forEach(hashes, (hash, index) => {
+    let reason = getHashError(hash, algorithm)
+    if (reason) errors.push({ index, hash, reason })
+  })
+  if (isEmpty(errors)) return
+
+  let reasons = errors.slice(0, 10).map(({ index, reason }) => `[${index}] ${reason}`)
+  if (errors.length > 10) reasons.push(`and ${errors.length - 10} more`)
+  let err = new Error(`hashes arg contains ${errors.length} invalid hash(es) : ${reasons.join(', ')}`)
+  err.errors = errors
+  throw err
+}
+
+/**
+ * Wait for a number of milliseconds. The wait can be cut short with the `cancel()` method of the returned
+ * Promise, which resolves it straight away and clears the timer so it no longer keeps the process running.
+ *
+ * @param {Number} ms - The number of milliseconds to wait
+ * @returns {Promise<void>} Resolves once the time has passed or the wait is cancelled
+ */
+export function sleep(ms) {
+  let cancel
+  let promise = new Promise(resolve => {
+    let timeoutId = setTimeout(resolve, ms)
+    cancel = () => {
+      clearTimeout(timeoutId)
+      resolve()
+    }
+  })
+  promise.cancel = cancel
+  return promise
+}
+
+/**
+ * Validate the options for polling a Node until proofs are anchored, as accepted by waitForProofs() and watchProofs()
+ *
+ * @param {Object} options - `until` the anchor level, 'cal' or 'btc'. `interval` ms between polls, multiplied by `backoff`
+ * after each poll up to `maxInterval`. `timeout` ms to poll for, defaults to the DEFAULT_WAIT_TIMEOUTS for `until`.
+ * @param {String} defaultUntil - The anchor level to use when `until` is not set
+ * @returns {{until: String, interval: Number, backoff: Number, maxInterval: Number, timeout: Number}} The options with defaults applied
+ */
+export function validatePollOptions(options, defaultUntil) {
+  let { until = defaultUntil, interval = DEFAULT_WAIT_INTERVAL, backoff = 1, maxInterval = MAX_WAIT_INTERVAL } = options
+  if (!includes(['cal', 'btc'], until)) throw new Error(`until option must be 'cal' or 'btc', got ${until}`)
+  let { timeout = DEFAULT_WAIT_TIMEOUTS[until] } = options
+  if (!isNumber(interval) || !(interval > 0)) throw new Error('interval option must be a Number > 0')
+  if (!isNumber(backoff) || !(backoff >= 1)) throw new Error('backoff option must be a Number >= 1')
+  if (!isNumber(maxInterval) || !(maxInterval > 0)) throw new Error('maxInterval option must be a Number > 0')
+  if (!isNumber(timeout) || !(timeout > 0)) throw new Error('timeout option must be a Number > 0')
+  return { until, interval, backoff, maxInterval, timeout }
+}
+
+/**
+ * Map over an Array with an async function, running at most `limit` calls at a time.
+ * Results are returned in the same order as the items regardless of completion order.
+ * If a call rejects, no further calls are started and the returned promise rejects with its Error.
+ *
+ * @param {Array} items - The items to map over
+ * @param {Number} limit - Max number of pending calls at any one time
+ * @param {Function} fn - async function called with (item, index)
+ * @returns {Promise<Array>} An Array of results, one for each item
+ */
+export async function mapConcurrent(items, limit, fn) {
+  if (!isInteger(limit) || limit < 1) throw new Error('limit must be an Integer >= 1')
+
+  let results = new Array(items.length)
+  let next = 0
+  // Once a call has failed the returned promise rejects, so no more calls are started
+  let failed = false
+  async function worker() {
+    while (next < items.length && !failed) {
+      let index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (err) {
+        failed = true
+        throw err
+      }
+    }
+  }
+
+  let workers = []
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker())
+  await Promise.all(workers)
+  return results
+}
+
 /*
  * Helper function to validate a hashes argument that would be passed to other functions
  * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form.
@@ -108,19 +327,59 @@ export function validateUrisArg(uris) {
 
 /**
  * Get SHA256 hash(es) of selected file(s) and prepare for submitting to a node
- * @param {Array<String>} paths - An Array of paths of the files to be hashed.
- * @param {Array<String>} uris - An Array of String URI's. Each hash will be submitted to each Node URI provided.
- * If none provided three will be chosen at random using service discovery.
- * @returns {Array<{path: String, hash: String} An Array of Objects, each a handle that contains all info needed to retrieve a proof.
+ * @param {Array<String|Blob>} paths - An Array of paths of the files to be hashed. In the browser, File or Blob objects.
+ * @param {Object} options - [Optional] `onProgress` callback and/or `emitter` EventEmitter to receive progress events,
+ * and an AbortSignal `signal` to cancel hashing
+ * @returns {Array<{path: String, hash: String}|{name: String, size: Number, lastModified: Number, hash: String}>} An Array of Objects,
+ * one for each file that could be read. Files and Blobs have their name, size and lastModified in place of a path.
  */
-export async function getFileHashes(paths) {
+export async function getFileHashes(paths, { onProgress, emitter, signal } = {}) {
   // Validate all paths provided
   // Criteria is the same as for hashes arg so can reuse the helper
   // except need a different validator function
-  validateHashesArg(paths, path => fs.existsSync(path) && fs.lstatSync(path).isFile())
+  validateHashesArg(
+    paths,
+    path =>
+      isBlob(path) ||
+      (isString(path) && isFunction(fs.existsSync) && fs.existsSync(path) && fs.lstatSync(path).isFile())
+  )
+
+  // Progress is reported for each file as well as for all files together.
+  // 'progress' events are sent as each file is read and a 'file' event when each one is done.
+  let sizes = paths.map(path => (isBlob(path) ? path.size : fs.statSync(path).size))
+  let bytesRead = paths.map(() => 0)
+  let progress = { totalBytesRead: 0, totalSize: sum(sizes), filesComplete: 0, totalFiles: paths.length }
+  let emit = (type, index, extra) => {
+    let event = {
+      type,
+      index,
+      file: isBlob(paths[index]) ? paths[index].name : paths[index],
+      bytesRead: bytesRead[index],
+      size: sizes[index],
+      ...progress,
+      ...extra
+    }
+    if (isFunction(onProgress)) onProgress(event)
+    if (emitter && isFunction(emitter.emit)) emitter.emit(type, event)
+  }
 
   let hashObjs = []
-  hashObjs = await Promise.all(paths.map(path => sha256FileByPath(path)))
+  hashObjs = await Promise.all(
+    paths.map(async (path, index) => {
+      let hashOptions = {
+        signal,
+        onProgress: update => {
+          progress.totalBytesRead += update.bytesRead - bytesRead[index]
+          bytesRead[index] = update.bytesRead
+          emit('progress', index)
+        }
+      }
+      let hashObj = isBlob(path) ? await sha256Blob(path, hashOptions) : await sha256FileByPath(path, hashOptions)
+      progress.filesComplete++
+      emit('file', index, { hash: hashObj.hash, error: hashObj.error })
+      return hashObj
+    })
+  )
 
   // filter out any EACCES errors
   hashObjs = hashObjs.filter(hashObj => {
@@ -130,6 +389,57 @@ export async function getFileHashes(paths) {
   return hashObjs
 }
 
+/**
+ * Recursively list the files in a directory.
+ * Symbolic links are skipped unless `followSymlinks` is set, in which case
+ * each directory is only visited once to avoid cycles.
+ *
+ * @param {String} root - The directory to walk
+ * @param {Object} options - [Optional] `followSymlinks` to follow symbolic links to files and directories
+ * @returns {Promise<Array<String>>} An Array of file paths relative to `root`, using `/` as the separator
+ */
+export async function walkDirectory(root, { followSymlinks = false } = {}) {
+  const readdir = promisify(fs.readdir)
+  const lstat = promisify(fs.lstat)
+  const stat = promisify(fs.stat)
+  const realpath = promisify(fs.realpath)
+
+  let rootStats = await stat(root)
+  if (!rootStats.isDirectory()) throw new Error(`${root} is not a directory`)
+
+  let files = []
+  let visited = new Set()
+
+  async function walk(dir, relativeDir) {
+    let realDir = await realpath(dir)
+    if (visited.has(realDir)) return
+    visited.add(realDir)
+
+    let entries = (await readdir(dir)).sort()
+    for (let entry of entries) {
+      let entryPath = path.join(dir, entry)
+      let relativePath = relativeDir ? `${relativeDir}/${entry}` : entry
+      let stats = await lstat(entryPath)
+
+      if (stats.isSymbolicLink()) {
+        if (!followSymlinks) continue
+        try {
+          stats = await stat(entryPath)
+        } catch (e) {
+          // skip broken links
+          continue
+        }
+      }
+
+      if (stats.isDirectory()) await walk(entryPath, relativePath)
+      else if (stats.isFile()) files.push(relativePath)
+    }
+  }
+
+  await walk(root, '')
+  return files
+}
+
 /**
  * throws if the first arg is not an array or is an empty array
  */
@@ -16,6 +16,9 @@
 import * as helpers from './helpers'
 import * as proofs from './proofs'
 import * as network from './network'
+import * as hashing from './hashing'
+import * as merkle from './merkle'
+import * as bitcoin from './bitcoin'
 
-export { helpers, proofs, network }
-export default { ...helpers, ...proofs, ...network }
+export { helpers, proofs, network, hashing, merkle, bitcoin }
+export default { ...helpers, ...proofs, ...network, ...hashing, ...merkle, ...bitcoin }
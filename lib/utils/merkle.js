@@ -0,0 +1,102 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/*
+ * helper functions for building a local Merkle tree over a set of hashes
+ * and expressing the path from a leaf to the root as Chainpoint proof operations
+ */
+
+import crypto from 'crypto'
+import { last, map } from 'lodash'
+import { testArrayArg } from './helpers'
+
+// Leaves and parents are hashed with different prefixes, as in RFC 6962, so a parent can never be passed off as a
+// leaf, or a leaf as a parent, and a proof for one tree cannot be made to fit another
+const LEAF_PREFIX = '00'
+const NODE_PREFIX = '01'
+
+const sha256 = (...buffers) =>
+  crypto
+    .createHash('sha256')
+    .update(Buffer.concat(buffers))
+    .digest()
+
+/**
+ * Build a SHA-256 Merkle tree over an Array of hashes. Each leaf is the hash
+ * of the 0x00 byte followed by the bytes of the hash, and each parent is the
+ * hash of the 0x01 byte followed by its left child's bytes and its right
+ * child's bytes. When a level has an odd number of nodes the last one is
+ * promoted to the next level unchanged.
+ *
+ * @param {Array<String>} hashes - An Array of String Hashes in Hexadecimal form, used as the leaves
+ * @returns {Array<Array<Buffer>>} The levels of the tree, starting with the leaves and ending with the root
+ */
+export function buildMerkleTree(hashes) {
+  testArrayArg(hashes)
+  let leafPrefix = Buffer.from(LEAF_PREFIX, 'hex')
+  let nodePrefix = Buffer.from(NODE_PREFIX, 'hex')
+  let levels = [map(hashes, hash => sha256(leafPrefix, Buffer.from(hash, 'hex')))]
+
+  while (last(levels).length > 1) {
+    let level = last(levels)
+    let parents = []
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        parents.push(level[i])
+      } else {
+        parents.push(sha256(nodePrefix, level[i], level[i + 1]))
+      }
+    }
+    levels.push(parents)
+  }
+
+  return levels
+}
+
+/**
+ * Get the root of a Merkle tree built by buildMerkleTree
+ *
+ * @param {Array<Array<Buffer>>} levels - The levels of the tree
+ * @returns {String} The Merkle root in Hexadecimal form
+ */
+export function getMerkleRoot(levels) {
+  return last(levels)[0].toString('hex')
+}
+
+/**
+ * Get the Chainpoint proof operations that lead from a leaf to the root of a Merkle tree
+ *
+ * @param {Array<Array<Buffer>>} levels - The levels of the tree, as returned by buildMerkleTree
+ * @param {Number} index - The index of the leaf
+ * @returns {Array<Object>} An Array of `l`/`r` and `sha-256` operations, starting with those that hash the leaf
+ */
+export function getMerklePathOps(levels, index) {
+  let ops = [{ l: LEAF_PREFIX }, { op: 'sha-256' }]
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    let level = levels[depth]
+    let isRight = index % 2 === 1
+    let siblingIndex = isRight ? index - 1 : index + 1
+
+    // a promoted node has no sibling and is not hashed at this level
+    if (siblingIndex < level.length) {
+      let sibling = level[siblingIndex].toString('hex')
+      ops.push(isRight ? { l: sibling } : { r: sibling })
+      ops.push({ l: NODE_PREFIX })
+      ops.push({ op: 'sha-256' })
+    }
+    index = Math.floor(index / 2)
+  }
+
+  return ops
+}
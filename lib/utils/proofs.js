@@ -12,10 +12,48 @@
  */
 
 import cpp from 'chainpoint-parse'
+import chpBinary from 'chainpoint-binary'
 import uuidv1 from 'uuid/v1'
 import { isJSON, isBase64 } from 'validator'
-import { isEmpty, isString, has, isObject, forEach, isBuffer } from 'lodash'
-import { isHex, testArrayArg } from './helpers'
+import crypto from 'crypto'
+import { sha3_224 as sha3224, sha3_256 as sha3256, sha3_384 as sha3384, sha3_512 as sha3512 } from 'js-sha3'
+import {
+  isEmpty,
+  isString,
+  has,
+  isObject,
+  forEach,
+  isBuffer,
+  map,
+  cloneDeep,
+  some,
+  includes,
+  find,
+  findIndex
+} from 'lodash'
+import { isHex, isValidUUID, testArrayArg } from './helpers'
+import { PROOF_RETENTION_PERIOD } from '../constants'
+
+// milliseconds between the start of the Gregorian calendar (1582-10-15) and the Unix epoch
+const GREGORIAN_OFFSET_MS = 12219292800000
+
+// The hash operations a proof can contain, the same as those evaluated by chainpoint-parse
+const nodeHash = name => value =>
+  crypto
+    .createHash(name)
+    .update(value)
+    .digest()
+const PROOF_HASH_OPS = {
+  'sha-224': nodeHash('sha224'),
+  'sha-256': nodeHash('sha256'),
+  'sha-384': nodeHash('sha384'),
+  'sha-512': nodeHash('sha512'),
+  'sha3-224': value => Buffer.from(sha3224.array(value)),
+  'sha3-256': value => Buffer.from(sha3256.array(value)),
+  'sha3-384': value => Buffer.from(sha3384.array(value)),
+  'sha3-512': value => Buffer.from(sha3512.array(value)),
+  'sha-256-x2': value => nodeHash('sha256')(nodeHash('sha256')(value))
+}
 
 /**
  * Checks if a proof handle Object has valid params.
@@ -28,6 +66,62 @@ export function isValidProofHandle(handle) {
   return false
 }
 
+/**
+ * Get the time a proof ID was created at, from the timestamp in its Version 1 UUID
+ *
+ * @param {String} proofId - The Version 1 UUID proof ID
+ * @returns {Number} The time the proof ID was created, in milliseconds since the Unix epoch
+ */
+export function getProofIdTime(proofId) {
+  let [timeLow, timeMid, timeHi] = proofId.split('-').map(part => parseInt(part, 16))
+  // UUID timestamps count 100 nanosecond intervals since the start of the Gregorian calendar
+  let intervals = ((timeHi & 0x0fff) * 0x10000 + timeMid) * 0x100000000 + timeLow
+  return Math.floor(intervals / 10000) - GREGORIAN_OFFSET_MS
+}
+
+/**
+ * Get the time a proof handle or proof was created at, from the timestamp in its proof ID
+ *
+ * @param {Object|String|Buffer} handleOrProof - A proof ID, a proof handle, a getProofs() result, or a proof in any supported format
+ * @returns {Number} The time the Node accepted the hash, in milliseconds since the Unix epoch
+ */
+export function getProofTime(handleOrProof) {
+  let proofId
+  if (isString(handleOrProof) && isValidUUID(handleOrProof)) proofId = handleOrProof
+  else if (isObject(handleOrProof) && isString(handleOrProof.proofId)) proofId = handleOrProof.proofId
+  else proofId = proofToObject(handleOrProof).proof_id
+
+  if (!isValidUUID(proofId)) throw new Error(`proof ID must be a Version 1 UUID, got ${proofId}`)
+  return getProofIdTime(proofId)
+}
+
+/**
+ * Get when a proof handle or proof expires, which is when Nodes stop keeping its proof.
+ * Proofs that are not anchored to Bitcoin by then can no longer be retrieved.
+ *
+ * @param {Object|String|Buffer} handleOrProof - A proof ID, a proof handle, a getProofs() result, or a proof in any supported format
+ * @param {Number} now - [Optional] The time to check against, in milliseconds since the Unix epoch, defaults to now
+ * @returns {{createdAt: Number, expiresAt: Number, expiresIn: Number, expired: bool}} The times in milliseconds
+ * since the Unix epoch, and the milliseconds remaining before it expires, 0 once expired
+ */
+export function getProofExpiry(handleOrProof, now = Date.now()) {
+  let createdAt = getProofTime(handleOrProof)
+  let expiresAt = createdAt + PROOF_RETENTION_PERIOD
+  return { createdAt, expiresAt, expiresIn: Math.max(expiresAt - now, 0), expired: now >= expiresAt }
+}
+
+/**
+ * Checks if the `anchorsComplete` of a getProofs() result include an anchor type.
+ * Testnet anchors ('tcal', 'tbtc') count as their mainnet equivalent.
+ *
+ * @param {Array<String>} anchorsComplete - The anchor types a proof has, e.g. ['cal', 'btc']
+ * @param {String} anchorType - The anchor type to look for, 'cal' or 'btc'
+ * @returns {bool} true if the anchor type is present, otherwise false
+ */
+export function hasAnchor(anchorsComplete, anchorType) {
+  return some(anchorsComplete, anchor => anchor === anchorType || anchor === `t${anchorType}`)
+}
+
 /**
  * Map the JSON API response from submitting a hash to a Node to a
  * more accessible form that can also be used as the input arg to
@@ -62,6 +156,25 @@ export function mapSubmitHashesRespToProofHandles(respArray) {
   return proofHandles
 }
 
+/**
+ * Get the index of the submitted hash each proof handle belongs to.
+ * Handles for the same submitted hash share a groupId, and groupIds are first seen
+ * in the order the hashes were submitted, so this works even when the same hash
+ * was submitted more than once.
+ *
+ * @param {Array<Object>} proofHandles - An Array of proof handles as returned by submitHashes
+ * @returns {Array<Number>} An Array with the submitted hash index for each proof handle
+ */
+export function getProofHandleIndexes(proofHandles) {
+  let indexByGroupId = {}
+  let nextIndex = 0
+
+  return map(proofHandles, handle => {
+    if (!has(indexByGroupId, handle.groupId)) indexByGroupId[handle.groupId] = nextIndex++
+    return indexByGroupId[handle.groupId]
+  })
+}
+
 /**
  * Parse an Array of proofs, each of which can be in any supported format.
  *
@@ -90,6 +203,42 @@ export function parseProofs(proofs) {
   return parsedProofs
 }
 
+/**
+ * Convert a single proof in any supported format to a Chainpoint proof Object.
+ * Accepts the same forms as normalizeProofs and parseProofs: an Object from getProofs(),
+ * a JS Object proof, a JSON-LD String, or a Buffer, Base64 or Hex binary proof.
+ *
+ * @param {Object|String|Buffer} proof - The proof to convert
+ * @returns {Object} A copy of the proof as a JS Object. An Error is thrown if it is not a valid Chainpoint v4 proof.
+ */
+export function proofToObject(proof) {
+  // Probably result of `getProofs()` call. Extract proof String
+  if (isObject(proof) && has(proof, 'proof') && isString(proof.proof)) proof = proof.proof
+
+  if (isBuffer(proof)) {
+    return chpBinary.binaryToObjectSync(proof)
+  } else if (isObject(proof) && proof.type === 'Chainpoint') {
+    return validateProofObject(cloneDeep(proof))
+  } else if (isString(proof) && isJSON(proof)) {
+    return validateProofObject(JSON.parse(proof))
+  } else if (isString(proof) && (isBase64(proof) || isHex(proof))) {
+    return chpBinary.binaryToObjectSync(proof)
+  }
+  throw new Error('unknown proof format')
+}
+
+/**
+ * Check a proof Object against the Chainpoint v4 schema, as binary proofs are when they are read
+ *
+ * @param {Object} proofObj - The proof Object to check
+ * @returns {Object} The proof Object if it is valid, otherwise an Error is thrown
+ */
+function validateProofObject(proofObj) {
+  // chainpoint-binary validates the proof before serializing it
+  chpBinary.objectToBinarySync(proofObj)
+  return proofObj
+}
+
 /**
  * validate and normalize proofs for actions such as parsing
  * @param {Array} proofs - An Array of String, or Object proofs from getProofs(), to be verified. Proofs can be in any of the supported JSON-LD or Binary formats.
@@ -182,6 +331,26 @@ export function flattenProofs(parsedProofs) {
   return flatProofAnchors
 }
 
+/**
+ * Apply a single op from a proof branch to a value. Hex data in l and r ops is concatenated as hex,
+ * anything else as a UTF-8 String, and anchors ops leave the value unchanged.
+ *
+ * @param {Buffer} value - The value before the op
+ * @param {Object} op - The op from the proof
+ * @returns {Buffer} The value after the op
+ */
+export function applyProofOp(value, op) {
+  if (has(op, 'l') || has(op, 'r')) {
+    let side = has(op, 'l') ? 'l' : 'r'
+    let operand = Buffer.from(op[side], isHex(op[side]) ? 'hex' : 'utf8')
+    return side === 'l' ? Buffer.concat([operand, value]) : Buffer.concat([value, operand])
+  } else if (has(op, 'op')) {
+    if (!has(PROOF_HASH_OPS, op.op)) throw new Error(`unknown op ${op.op}`)
+    return PROOF_HASH_OPS[op.op](value)
+  }
+  return value
+}
+
 /**
  * Get raw btc transactions for each hash_id_node
  * @param {Array} proofs - array of previously parsed proofs
@@ -202,6 +371,8 @@ export function flattenBtcBranches(proofBranchArray) {
         if (branch.branches) {
           // get the raw tx from the btc_anchor_branch
           let btcBranch = branch.branches.find(element => element.label === 'btc_anchor_branch')
+          // proofs that are only anchored to the calendar have no btc_anchor_branch
+          if (!btcBranch) return
           btcAnchor.raw_btc_tx = btcBranch.rawTx
           // get the btc anchor
           let anchor = btcBranch.anchors.find(anchor => anchor.type === 'btc' || anchor.type === 'tbtc')
@@ -218,3 +389,65 @@ export function flattenBtcBranches(proofBranchArray) {
 
   return flattenedBranches
 }
+
+/**
+ * Get the Bitcoin transaction each proof is anchored with. Proofs that are only anchored to the calendar
+ * have the status 'no_btc_anchor'. Proofs anchored to Bitcoin have the status 'btc_anchored' and:
+ *
+ *   raw_btc_tx - the raw transaction in Hexadecimal
+ *   btc_tx_id - the transaction id, the double SHA-256 of the raw transaction in reverse byte order
+ *   op_return_value - the value the transaction commits to in its OP_RETURN output, the calendar root
+ *   tx_merkle_ops - the ops from the proof linking the transaction id to the block merkle root
+ *   type, anchor_id, block_height and expected_value - the btc anchor, where expected_value is the block merkle root
+ *
+ * @param {Array} proofs - An Array of proof Objects
+ * @return {Object[]} - An Array of Objects, one for each proof, with its proof_id and Bitcoin transaction
+ */
+export function getBtcTxs(proofs) {
+  testArrayArg(proofs)
+
+  return map(proofs, proof => {
+    let found = findBtcBranch(cpp.parse(proof).branches, proof.branches)
+    if (!found) return { proof_id: proof.proof_id, status: 'no_btc_anchor' }
+
+    let { parsedBranch, branch } = found
+    let anchor = find(parsedBranch.anchors, anchor => includes(['btc', 'tbtc'], anchor.type))
+    // the ops after the transaction is hashed into its id lead up to the block merkle root
+    let txOpIndex = findIndex(branch.ops, { op: 'sha-256-x2' })
+    let anchorsIndex = findIndex(branch.ops, op => has(op, 'anchors'))
+
+    return {
+      proof_id: proof.proof_id,
+      status: 'btc_anchored',
+      type: anchor.type,
+      anchor_id: anchor.anchor_id,
+      block_height: parseInt(anchor.anchor_id, 10),
+      expected_value: anchor.expected_value,
+      raw_btc_tx: parsedBranch.rawTx,
+      btc_tx_id: parsedBranch.btcTxId,
+      op_return_value: parsedBranch.opReturnValue,
+      tx_merkle_ops: branch.ops.slice(txOpIndex + 1, anchorsIndex)
+    }
+  })
+}
+
+/**
+ * Find the Bitcoin anchor branch of a proof, which chainpoint-parse has evaluated the transaction of
+ *
+ * @param {Array<Object>} parsedBranches - The branches of the proof as parsed by chainpoint-parse
+ * @param {Array<Object>} branches - The same branches from the proof Object, with their ops
+ * @returns {{parsedBranch: Object, branch: Object}} The parsed btc_anchor_branch and the branch it was parsed from,
+ * or undefined if there is none
+ */
+function findBtcBranch(parsedBranches, branches) {
+  let found
+  some(parsedBranches, (parsedBranch, index) => {
+    if (parsedBranch.label === 'btc_anchor_branch') {
+      found = { parsedBranch, branch: branches[index] }
+    } else if (parsedBranch.branches) {
+      found = findBtcBranch(parsedBranch.branches, branches[index].branches)
+    }
+    return found
+  })
+  return found
+}
@@ -11,119 +11,160 @@
  * limitations under the License.
  */
 
-import url from 'url'
-import { isEmpty, isString, forEach, map, first, uniqWith, isEqual, uniq, flatten, mapKeys, camelCase } from 'lodash'
+import {
+  isEmpty,
+  isArray,
+  isObject,
+  isFunction,
+  forEach,
+  uniqWith,
+  isEqual,
+  includes,
+  find,
+  mapKeys,
+  camelCase,
+  pick,
+  every,
+  isPlainObject,
+  keys,
+  values,
+  zipObject
+} from 'lodash'
 
-import { isValidNodeURI, getNodes } from './utils/network'
-import { fetchEndpoints, isSecureOrigin } from './utils/helpers'
 // need to import evaluate this way so that tests can stub it and confirm
 // it was called
 import * as evaluate from './evaluate'
-import { NODE_PROXY_URI } from './constants'
-import getConfig from './config'
-
-let config = getConfig()
+import { createNodeResolver, createQuorumResolver } from './resolvers'
 
 /**
  * Verify a collection of proofs using an optionally provided Node URI
  *
+ * Each anchor is verified by comparing its expected value with the value found by the first resolver for its
+ * type, see lib/resolvers.js. By default every anchor is looked up from a single Node. Every anchor gets a result
+ * with a `status`, see getAnchorVerification(), so anchors that could not be looked up do not stop the others
+ * from being verified.
+ *
  * @param {Array} proofs - An Array of String, or Object proofs from getProofs(), to be verified. Proofs can be in any of the supported JSON-LD or Binary formats.
  * @param {String} uri - [Optional] The Node URI to submit proof(s) to for verification. If not provided a Node will be selected at random. All proofs will be verified by a single Node.
- * @param {function} callback - An optional callback function.
- * @return {Array<Object>} - An Array of Objects, one for each proof submitted, with vefification info.
+ * @param {Object} options - [Optional] `resolvers` an Array of anchor resolvers to use instead of the Node,
+ * such as [createBitcoinResolver(headerSource), createNodeResolver(uri)] to verify btc anchors against Bitcoin block headers.
+ * `quorum` to look every anchor up from several Nodes instead of one, with the `nodes` and `required` options of
+ * createQuorumResolver(). Each result then has a `quorum` property listing the Nodes that agreed and those that didn't.
+ * @return {Array<Object>} - An Array of Objects, one for each anchor in the proofs submitted, with vefification info
+ * and the `source` the anchor was looked up from, such as the Node URI, 'bitcoin' or 'quorum'. Anchors looked up from
+ * a Node have the `uri` they were requested from, see createNodeResolver().
  */
-export default async function verifyProofs(proofs, uri) {
+export default async function verifyProofs(proofs, uri, options = {}) {
   let evaluatedProofs = evaluate.evaluateProofs(proofs)
 
-  // Validate and return an Array with a single Node URI
-  // if provided or get an Array of Nodes via service discovery.
-  let nodes
-  if (isEmpty(uri)) {
-    nodes = await getNodes(1)
-  } else {
-    if (!isString(uri)) throw new Error('uri arg must be a String')
-    if (!isValidNodeURI(uri)) throw new Error(`uri arg contains invalid Node URI : ${uri}`)
-    nodes = [uri]
+  let { resolvers, quorum } = options
+  if (quorum !== undefined) {
+    if (!isEmpty(uri) || resolvers !== undefined)
+      throw new Error('quorum option cannot be used with a uri arg or the resolvers option')
+    resolvers = [createQuorumResolver(quorum === true ? {} : quorum)]
+  } else if (resolvers === undefined) {
+    resolvers = [createNodeResolver(uri)]
+  } else if (!isArray(resolvers) || isEmpty(resolvers) || !every(resolvers, isResolver)) {
+    throw new Error('resolvers option must be a non-empty Array of Objects with a resolve method')
   }
 
-  let node = first(nodes)
+  let flatProofs = uniqWith(evaluatedProofs, isEqual)
 
-  // Assign all flat proofs to the same Node URI for verification
-  let singleNodeFlatProofs = map(evaluatedProofs, proof => {
-    let oldProofURI = url.parse(proof.uri)
-    proof.uri = node + oldProofURI.path
-    return proof
+  // Look up the value for every anchor once, however many proofs share it, each from the first resolver
+  // that can resolve its type
+  let lookups = {}
+  forEach(flatProofs, flatProof => {
+    let key = getAnchorKey(flatProof)
+    if (!lookups[key]) lookups[key] = lookUpAnchor(resolvers, flatProof)
   })
+  let resolved = zipObject(keys(lookups), await Promise.all(values(lookups)))
 
-  let flatProofs = uniqWith(singleNodeFlatProofs, isEqual)
-  let anchorURIs = []
-  forEach(flatProofs, proof => {
-    anchorURIs.push(proof.uri)
-  })
+  let results = []
 
-  let uniqAnchorURIs = uniq(anchorURIs)
+  forEach(flatProofs, flatProof => {
+    let { value, error, unsupported, source = null, ...details } = resolved[getAnchorKey(flatProof)]
+    if (unsupported) error = new Error(`No resolver supports ${flatProof.type} anchors`)
 
-  let nodesWithGetOpts = map(uniqAnchorURIs, anchorURI => {
-    let headers = Object.assign(
-      {
-        'Content-Type': 'application/json',
-        Accept: 'application/json'
-      },
-      isSecureOrigin()
-        ? {
-            'X-Node-Uri': url.parse(anchorURI).protocol + '//' + url.parse(anchorURI).host
-          }
-        : {}
+    // Camel case object keys
+    let flatProofCamel = mapKeys(
+      { ...flatProof, ...getAnchorVerification(flatProof, value, error), source, ...details },
+      (v, k) => camelCase(k)
     )
 
-    let uri = isSecureOrigin() ? config.str('node-proxy-uri', NODE_PROXY_URI) + url.parse(anchorURI).path : anchorURI
-
-    return {
-      method: 'GET',
-      uri: uri,
-      body: {},
-      headers,
-      timeout: 10000
-    }
+    results.push(flatProofCamel)
   })
+  return results
+}
 
-  let parsedBody = await fetchEndpoints(nodesWithGetOpts)
-
-  // fetchEndpoints returns an Array entry for each host it submits to.
-  let flatParsedBody = flatten(parsedBody)
-
-  let hashesFound = {}
-
-  forEach(nodesWithGetOpts, (getOpt, index) => {
-    // only add blockHeight to hashesFound map if a hash was returned
-    // this avoids adding a uri with an empty value to the hashes found map
-    if (flatParsedBody[index].length) {
-      let uriSegments = getOpt.uri.split('/')
-      let blockHeight = uriSegments[uriSegments.length - 2]
-      hashesFound[blockHeight] = flatParsedBody[index]
+/**
+ * Get the result of verifying an anchor from the value looked up for it. The `status` is one of:
+ *
+ *   verified - the value matches the anchor's expected value
+ *   mismatch - a different value was found, so the proof is not valid for this anchor
+ *   anchor_unavailable - no value was found, for example a Node does not have the block yet
+ *   lookup_error - the value could not be looked up, the `error` has the reason
+ *
+ * @param {Object} anchor - An anchor as returned by evaluateProofs()
+ * @param {String} value - The value looked up for the anchor, or null if none was found
+ * @param {Error} error - [Optional] The Error if the lookup failed
+ * @returns {{status: String, verified: bool, verified_at: String, error: Error}} The verification result,
+ * with an `error` for anchors that are unavailable or could not be looked up
+ */
+export function getAnchorVerification(anchor, value, error) {
+  if (error) return { status: 'lookup_error', verified: false, verified_at: null, error }
+  if (isEmpty(value)) {
+    return {
+      status: 'anchor_unavailable',
+      verified: false,
+      verified_at: null,
+      error: new Error(`No value was found for ${anchor.type} anchor ${anchor.anchor_id}`)
     }
-  })
-
-  if (isEmpty(hashesFound)) throw new Error('No hashes were found.')
-  let results = []
+  }
+  // IT'S NO GOOD :-(
+  if (value !== anchor.expected_value) return { status: 'mismatch', verified: false, verified_at: null }
+  // IT'S GOOD!
+  return { status: 'verified', verified: true, verified_at: new Date().toISOString().slice(0, 19) + 'Z' }
+}
 
-  forEach(flatProofs, flatProof => {
-    let uriSegments = flatProof.uri.split('/')
-    let blockHeight = uriSegments[uriSegments.length - 2]
-    if (flatProof.expected_value === hashesFound[blockHeight]) {
-      // IT'S GOOD!
-      flatProof.verified = true
-      flatProof.verified_at = new Date().toISOString().slice(0, 19) + 'Z'
-    } else {
-      // IT'S NO GOOD :-(
-      flatProof.verified = false
-      flatProof.verified_at = null
-    }
+/**
+ * Get the key identifying an anchor. Anchors of different types can share an anchor_id, for example a calendar
+ * block and a Bitcoin block at the same height, so the type and URI are part of the key.
+ *
+ * @param {Object} anchor - An anchor as returned by evaluateProofs()
+ * @returns {String} The key for the anchor
+ */
+function getAnchorKey(anchor) {
+  return JSON.stringify([anchor.type, anchor.anchor_id, anchor.uri])
+}
 
-    // Camel case object keys
-    let flatProofCamel = mapKeys(flatProof, (v, k) => camelCase(k))
+/**
+ * Look up the value of an anchor with the first resolver that supports its type
+ *
+ * @param {Array<Object>} resolvers - The anchor resolvers
+ * @param {Object} anchor - An anchor as returned by evaluateProofs()
+ * @returns {Object} The `value` found and the `source` it was found from, any other properties describing the lookup,
+ * and the `error` if it failed. `unsupported` is true if no resolver supports the anchor type.
+ */
+async function lookUpAnchor(resolvers, anchor) {
+  let resolver = find(resolvers, resolver => !resolver.types || includes(resolver.types, anchor.type))
+  if (!resolver) return { value: null, unsupported: true }
+
+  let source = resolver.source
+  try {
+    let found = await resolver.resolve(pick(anchor, ['type', 'anchor_id', 'expected_value', 'uri']))
+    // Resolvers can describe the lookup as well as returning the value
+    return isPlainObject(found) ? { source, ...found } : { value: found, source }
+  } catch (error) {
+    return { value: null, source, error }
+  }
+}
 
-    results.push(flatProofCamel)
-  })
-  return results
+/**
+ * Checks if an Object is an anchor resolver
+ *
+ * @param {Object} resolver - The Object to check
+ * @returns {bool} true if the Object has a resolve method, otherwise false
+ */
+function isResolver(resolver) {
+  return isObject(resolver) && isFunction(resolver.resolve)
 }
@@ -0,0 +1,229 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  filter,
+  includes,
+  map,
+  mapKeys,
+  camelCase,
+  uniqWith,
+  isEqual,
+  isObject,
+  isFunction,
+  has,
+  every,
+  isEmpty,
+  values
+} from 'lodash'
+
+import { evaluateProofs } from './evaluate'
+import { createBitcoinResolver, getMerkleRoot } from './resolvers'
+import { getAnchorVerification } from './verify'
+import { normalizeProofs, parseProofs, proofToObject, getBtcTxs, applyProofOp } from './utils/proofs'
+import { decodeBtcTx, getOpReturnData, sha256x2 } from './utils/bitcoin'
+import { isHex } from './utils/helpers'
+
+/**
+ * Verify the Bitcoin anchors in a collection of proofs against Bitcoin block headers, without trusting any
+ * Chainpoint Node. The expected value of each btc and tbtc anchor is compared with the merkle root of the block
+ * at its anchor_id. Other anchors are ignored.
+ *
+ * @param {Array} proofs - An Array of String, or Object proofs from getProofs(), to be verified. Proofs can be in any of the supported JSON-LD or Binary formats.
+ * @param {Object} headerSource - A block header source, such as from createHeadersFileSource(), createBitcoindSource()
+ * or createEsploraSource(). Use a testnet source for tbtc anchors.
+ * @return {Array<Object>} An Array of Objects, one for each Bitcoin anchor, as returned by verifyProofs() with the
+ * `merkleRoot` of the block. Anchors whose block is not in the source are anchor_unavailable, and those whose block
+ * could not be looked up are a lookup_error.
+ */
+async function verifyBitcoinAnchors(proofs, headerSource) {
+  let resolver = createBitcoinResolver(headerSource)
+  let anchors = filter(uniqWith(evaluateProofs(proofs), isEqual), anchor => includes(resolver.types, anchor.type))
+
+  return Promise.all(
+    map(anchors, async anchor => {
+      let merkleRoot = null
+      let error
+      try {
+        merkleRoot = await resolver.resolve(anchor)
+      } catch (err) {
+        error = err
+      }
+
+      // Camel case object keys
+      let result = {
+        ...anchor,
+        merkle_root: merkleRoot,
+        ...getAnchorVerification(anchor, merkleRoot, error),
+        source: resolver.source
+      }
+      return mapKeys(result, (v, k) => camelCase(k))
+    })
+  )
+}
+
+/**
+ * Check the Bitcoin transaction each proof is anchored with, without a Bitcoin node, to show that the transaction
+ * commits to the proof and is part of the block named in the proof. Each check passes or fails on its own:
+ *
+ *   tx - the raw transaction decodes, and its txid is the one the proof links to the block
+ *   opReturn - an OP_RETURN output of the transaction contains the calendar root the proof's ops arrive at
+ *   merklePath - the ops from the transaction to the block are a Bitcoin merkle path, and re-deriving the
+ *     merkle root from the txid with them gives the merkle root expected by the btc anchor
+ *   blockHeader - the block header from the `headerSource` option has that merkle root. This check is
+ *     skipped without a header source.
+ *
+ * Each check has a `status` of 'passed', 'failed', or 'skipped' when a check it depends on failed, and an
+ * `error` if it did not pass.
+ *
+ * @param {Array} proofs - An Array of String, or Object proofs from getProofs(), to be checked. Proofs can be in any of the supported JSON-LD or Binary formats.
+ * @param {Object} options - [Optional] `headerSource` a block header source, such as from createHeadersFileSource(),
+ * to check the merkle root against
+ * @return {Array<Object>} An Array of Objects, one for each proof, with the `proofId` and the details of its Bitcoin
+ * transaction from getProofTxs(), the `checks`, and a `status` of 'passed' if every check that ran passed or
+ * otherwise 'failed'. Proofs without a btc anchor have the status 'no_btc_anchor'.
+ */
+export async function verifyBitcoinTxs(proofs, options = {}) {
+  let { headerSource } = options
+  if (headerSource !== undefined && (!isObject(headerSource) || !isFunction(headerSource.getBlockHeader)))
+    throw new Error('headerSource option must be an Object with a getBlockHeader method')
+
+  let normalizedProofs = normalizeProofs(proofs)
+  // Validate the proofs before finding their transactions from the ops in each one
+  parseProofs(normalizedProofs)
+  let btcTxs = getBtcTxs(map(normalizedProofs, proofToObject))
+
+  return Promise.all(
+    map(btcTxs, async btcTx => {
+      if (btcTx.status !== 'btc_anchored') return mapKeys(btcTx, (v, k) => camelCase(k))
+
+      let checks = {}
+      checks.tx = runCheck(() => checkTx(btcTx))
+      checks.op_return = runCheck(() => checkOpReturn(btcTx, checks.tx.tx))
+      checks.merkle_path = runCheck(() => checkMerklePath(btcTx))
+      checks.block_header = await runCheckAsync(() => checkBlockHeader(btcTx, checks.merkle_path, headerSource))
+      delete checks.tx.tx
+
+      let passed = every(values(checks), check => check.status !== 'failed')
+      let result = { ...btcTx, status: passed ? 'passed' : 'failed', checks: mapKeys(checks, (v, k) => camelCase(k)) }
+      return mapKeys(result, (v, k) => camelCase(k))
+    })
+  )
+}
+
+/**
+ * Run a check, catching the Error if it fails
+ *
+ * @param {Function} check - A function that returns the details of a passed or skipped check, or throws if it fails
+ * @returns {Object} The check with its `status`
+ */
+function runCheck(check) {
+  try {
+    return { status: 'passed', ...check() }
+  } catch (error) {
+    return { status: 'failed', error }
+  }
+}
+
+/**
+ * Run an async check, catching the Error if it fails. See runCheck().
+ *
+ * @param {Function} check - An async function that returns the details of a passed or skipped check, or throws if it fails
+ * @returns {Promise<Object>} The check with its `status`
+ */
+async function runCheckAsync(check) {
+  try {
+    return { status: 'passed', ...(await check()) }
+  } catch (error) {
+    return { status: 'failed', error }
+  }
+}
+
+/**
+ * Decode the raw transaction and confirm its txid
+ *
+ * @param {Object} btcTx - A transaction from getBtcTxs()
+ * @returns {Object} The `txid` and number of `outputs`, and the decoded `tx` for the other checks
+ */
+function checkTx(btcTx) {
+  let tx = decodeBtcTx(btcTx.raw_btc_tx)
+  if (tx.txid !== btcTx.btc_tx_id) throw new Error(`transaction has txid ${tx.txid}, not ${btcTx.btc_tx_id}`)
+  return { txid: tx.txid, outputs: tx.outputs.length, tx }
+}
+
+/**
+ * Confirm an OP_RETURN output of the transaction commits to the calendar root in the proof
+ *
+ * @param {Object} btcTx - A transaction from getBtcTxs()
+ * @param {Object} tx - The decoded transaction, or undefined if it could not be decoded
+ * @returns {Object} The `opReturnValue` found in the transaction
+ */
+function checkOpReturn(btcTx, tx) {
+  if (!tx) return { status: 'skipped' }
+  let opReturnValues = filter(map(tx.outputs, output => getOpReturnData(output.script)), isHex)
+  if (!includes(opReturnValues, btcTx.op_return_value)) {
+    throw new Error(
+      !isEmpty(opReturnValues)
+        ? `transaction OP_RETURN value ${opReturnValues[0]} does not match the calendar root ${btcTx.op_return_value}`
+        : 'transaction does not have an OP_RETURN output'
+    )
+  }
+  return { opReturnValue: btcTx.op_return_value }
+}
+
+/**
+ * Re-derive the block merkle root from the txid with the merkle path in the proof
+ *
+ * @param {Object} btcTx - A transaction from getBtcTxs()
+ * @returns {Object} The `merkleRoot` derived and the `depth` of the transaction in the block's merkle tree
+ */
+function checkMerklePath(btcTx) {
+  let ops = btcTx.tx_merkle_ops
+  // Each level of the tree concatenates a 32 byte sibling hash then double SHA-256 hashes the result
+  if (ops.length % 2 !== 0) throw new Error('merkle path must have a hash op for every sibling')
+  for (let i = 0; i < ops.length; i += 2) {
+    let sibling = has(ops[i], 'l') ? ops[i].l : ops[i].r
+    if (!isHex(sibling) || sibling.length !== 64 || ops[i + 1].op !== 'sha-256-x2')
+      throw new Error(`merkle path op ${i} is not a 32 byte sibling hash followed by sha-256-x2`)
+  }
+
+  // The txid is displayed in reverse byte order, the tree uses the internal order
+  let txHash = sha256x2(Buffer.from(btcTx.raw_btc_tx, 'hex'))
+  let merkleRoot = ops
+    .reduce(applyProofOp, txHash)
+    .reverse()
+    .toString('hex')
+  if (merkleRoot !== btcTx.expected_value)
+    throw new Error(`merkle root ${merkleRoot} does not match the anchor's expected value ${btcTx.expected_value}`)
+  return { merkleRoot, depth: ops.length / 2 }
+}
+
+/**
+ * Confirm the block at the anchor's height has the re-derived merkle root
+ *
+ * @param {Object} btcTx - A transaction from getBtcTxs()
+ * @param {Object} merklePath - The merklePath check
+ * @param {Object} headerSource - A block header source, or undefined to skip the check
+ * @returns {Promise<Object>} The `blockHeight` and its `merkleRoot`
+ */
+async function checkBlockHeader(btcTx, merklePath, headerSource) {
+  if (!headerSource || merklePath.status !== 'passed') return { status: 'skipped' }
+  let header = await headerSource.getBlockHeader(btcTx.block_height)
+  let merkleRoot = getMerkleRoot(header, btcTx.block_height)
+  if (!merkleRoot) throw new Error(`No block header was found for height ${btcTx.block_height}`)
+  if (merkleRoot !== merklePath.merkleRoot)
+    throw new Error(`block ${btcTx.block_height} has merkle root ${merkleRoot}, not ${merklePath.merkleRoot}`)
+  return { blockHeight: btcTx.block_height, merkleRoot }
+}
+
+export default verifyBitcoinAnchors
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs'
+import { promisify } from 'util'
+import { isString, isEmpty, isPlainObject, has, filter, map, some, toPairs, omit } from 'lodash'
+
+import verifyProofs from './verify'
+import { sha256FileByPath, mapConcurrent } from './utils/helpers'
+import { hashData, isBlob, readBlob, sha256Blob, validateHashAlgorithm, DEFAULT_HASH_ALGORITHM } from './utils/hashing'
+import { proofToObject } from './utils/proofs'
+import { FILE_HASH_CONCURRENCY } from './constants'
+
+/**
+ * Verify that a proof belongs to a piece of data, by hashing the data and comparing the digest with the `hash` in the
+ * proof, and then verifying the proof's anchors with verifyProofs(). The `status` of the combined verdict is one of:
+ *
+ *   verified - the data matches the proof, and at least one anchor was verified with none mismatched
+ *   hash_mismatch - the data does not match the proof, so its anchors are not looked up
+ *   anchor_mismatch - the data matches the proof, but an anchor does not match its expected value
+ *   anchors_unavailable - the data matches the proof, but none of its anchors could be looked up
+ *
+ * @param {Object|String|Buffer} proof - A proof in any supported format, or a getProofs() result
+ * @param {Buffer|String|Blob|ArrayBuffer|TypedArray|Object} content - The data the proof is for, the path of a file as
+ * a String or an Object with the `path`, or a browser File or Blob
+ * @param {Object} options - [Optional] `algorithm` the data was hashed with (defaults to 'sha-256'), `encoding` of a
+ * String that is the data itself rather than a path, e.g. 'utf8' for text passed to submitData(), and `uri` of the
+ * Node to verify with. Any other options, such as `resolvers` or `quorum`, are passed on to verifyProofs().
+ * @return {{hash: String, proofHash: String, algorithm: String, status: String, verified: bool, anchors: Array<Object>}}
+ * The hash of the content and the hash in the proof, the verdict, and the results of verifyProofs() for each anchor
+ */
+async function verifyData(proof, content, options = {}) {
+  let { algorithm = DEFAULT_HASH_ALGORITHM, encoding } = options
+  validateHashAlgorithm(algorithm)
+  if (encoding !== undefined && !Buffer.isEncoding(encoding))
+    throw new Error(`encoding option must be a Buffer encoding, got ${encoding}`)
+
+  let proofObj = proofToObject(proof)
+  let hash = await hashContent(encoding ? toContentBytes(content, encoding) : content, algorithm)
+  let [result] = await verifyContents([{ proof: proofObj, hash }], options)
+  return result
+}
+
+/**
+ * Verify that proofs belong to files. See verifyData().
+ *
+ * @param {Object<String, Object|String|Buffer>} pathsToProofs - An Object mapping the path of each file to its proof
+ * @param {Object} options - [Optional] Options, as for verifyData()
+ * @return {Array<Object>} An Array with the `path` and combined verdict of verifyData() for each file,
+ * in the same order as `pathsToProofs`
+ */
+export async function verifyFiles(pathsToProofs, options = {}) {
+  let { algorithm = DEFAULT_HASH_ALGORITHM } = options
+  if (!isPlainObject(pathsToProofs) || isEmpty(pathsToProofs))
+    throw new Error('pathsToProofs arg must be a non-empty Object mapping file paths to proofs')
+  validateHashAlgorithm(algorithm)
+
+  let items = await mapConcurrent(toPairs(pathsToProofs), FILE_HASH_CONCURRENCY, async ([path, proof]) => {
+    try {
+      return { path, proof: proofToObject(proof), hash: await hashContent({ path }, algorithm) }
+    } catch (err) {
+      throw new Error(`${path} could not be verified : ${err.message}`)
+    }
+  })
+
+  // All anchors are verified together, so those shared by several files are only looked up once
+  let results = await verifyContents(items, options)
+  return map(items, ({ path }, index) => ({ path, ...results[index] }))
+}
+
+/**
+ * Get the bytes of a String that is the data itself, in the encoding given with the `encoding` option
+ *
+ * @param {String|*} content - The content passed to verifyData()
+ * @param {String} encoding - The encoding of the String
+ * @returns {Buffer|*} The bytes of the String, or the content unchanged if it is not a String
+ */
+function toContentBytes(content, encoding) {
+  return isString(content) ? Buffer.from(content, encoding) : content
+}
+
+/**
+ * Hash data, a file or a Blob
+ *
+ * @param {Buffer|String|Blob|ArrayBuffer|TypedArray|Object} content - The data, a Blob, or the path of a file as a
+ * String or an Object with the `path`
+ * @param {String} algorithm - One of the HASH_ALGORITHMS names
+ * @returns {Promise<String>} The Hexadecimal digest of the content
+ */
+async function hashContent(content, algorithm) {
+  if (isString(content) || (isPlainObject(content) && has(content, 'path'))) {
+    let path = isString(content) ? content : content.path
+    if (!isString(path) || isEmpty(path)) throw new Error('content path must be a non-empty String')
+    if (algorithm !== DEFAULT_HASH_ALGORITHM) return hashData(await promisify(fs.readFile)(path), algorithm)
+    let { hash } = await sha256FileByPath(path)
+    if (!hash) throw new Error(`Insufficient permission to read file '${path}'`)
+    return hash
+  }
+  if (isBlob(content)) {
+    if (algorithm !== DEFAULT_HASH_ALGORITHM) return hashData(await readBlob(content), algorithm)
+    return (await sha256Blob(content)).hash
+  }
+  return hashData(content, algorithm)
+}
+
+/**
+ * Compare the hash of each piece of content with its proof, and verify the anchors of the proofs that match
+ *
+ * @param {Array<{proof: Object, hash: String}>} items - The proof Object and content hash for each piece of content
+ * @param {Object} options - Options, as for verifyData()
+ * @returns {Array<Object>} The combined verdict for each item
+ */
+async function verifyContents(items, options) {
+  let { algorithm = DEFAULT_HASH_ALGORITHM, uri } = options
+  let hashMatches = map(items, ({ proof, hash }) => isString(proof.hash) && proof.hash.toLowerCase() === hash)
+
+  let matched = filter(items, (item, index) => hashMatches[index])
+  let anchors = isEmpty(matched)
+    ? []
+    : await verifyProofs(map(matched, 'proof'), uri, omit(options, ['algorithm', 'encoding', 'uri']))
+
+  return map(items, ({ proof, hash }, index) => {
+    let proofAnchors = hashMatches[index]
+      ? filter(anchors, anchor => anchor.proofId === proof.proof_id && anchor.hash === proof.hash)
+      : []
+    let status = getDataVerificationStatus(hashMatches[index], proofAnchors)
+
+    return {
+      hash,
+      proofHash: proof.hash,
+      algorithm,
+      status,
+      verified: status === 'verified',
+      anchors: proofAnchors
+    }
+  })
+}
+
+/**
+ * Get the status of the combined verdict for a piece of content
+ *
+ * @param {bool} hashMatches - true if the content matches the hash in its proof
+ * @param {Array<Object>} anchors - The verifyProofs() results for the anchors of its proof
+ * @returns {String} The status, see verifyData()
+ */
+function getDataVerificationStatus(hashMatches, anchors) {
+  if (!hashMatches) return 'hash_mismatch'
+  if (some(anchors, { status: 'mismatch' })) return 'anchor_mismatch'
+  if (some(anchors, { status: 'verified' })) return 'verified'
+  return 'anchors_unavailable'
+}
+
+export default verifyData
@@ -0,0 +1,104 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { every, filter, forEach, includes, isEmpty, map } from 'lodash'
+
+import getProofs from './get'
+import { isValidProofHandle, hasAnchor } from './utils/proofs'
+import { testArrayArg, sleep, validatePollOptions } from './utils/helpers'
+
+/**
+ * Wait for the proofs of one or more proof handles to be anchored, polling getProofs() until every
+ * proof has reached the requested anchor level. Each handle is tracked separately and is no longer
+ * polled for once its proof has been anchored, or once it is past the 24 hour Node retention period.
+ * Failed requests are retried until the timeout.
+ *
+ * @param {Array<{uri: String, proofId: String}>} proofHandles - An Array of proof handles as returned by submitHashes()
+ * @param {Object} options - [Optional] `until` the anchor level to wait for, 'cal' (default) or 'btc'.
+ * `interval` ms between polls, multiplied by `backoff` after each poll up to `maxInterval`.
+ * `timeout` ms to wait before giving up, defaults to 10 minutes for 'cal' and 3 hours for 'btc'.
+ * @return {Array<{proofId: String, proof: String, anchorsComplete: Array<String>}>} The most complete proof for each handle,
+ * in the same order as `proofHandles`. On timeout the Error has `pending` (the handles still waiting) and `proofs` properties.
+ * If any proofs expired before being anchored the Error has `expired` (the expired handles) and `proofs` properties.
+ */
+async function waitForProofs(proofHandles, options = {}) {
+  // Validate args before polling so invalid input is not retried until the timeout
+  testArrayArg(proofHandles)
+  if (!every(proofHandles, isValidProofHandle)) throw new Error('proofHandles Array contains invalid Objects')
+  let { until, interval, backoff, maxInterval, timeout } = validatePollOptions(options, 'cal')
+
+  let deadline = Date.now() + timeout
+  let proofs = map(proofHandles, () => null)
+  let pending = map(proofHandles, (handle, index) => index)
+  let delay = interval
+  let lastError = null
+
+  let expired = []
+
+  for (;;) {
+    try {
+      // getProofs returns a result for each handle, in the same order.
+      // Expired proofs can no longer be retrieved, so they are not requested and stop being waited for.
+      let results = await getProofs(map(pending, index => proofHandles[index]), { expired: 'skip' })
+      lastError = null
+      forEach(results, (result, i) => {
+        if (result.status === 'node_error') lastError = result.error
+        if (isMoreComplete(result, proofs[pending[i]])) proofs[pending[i]] = result
+        if (result.status === 'not_found' && result.expiresIn === 0) expired.push(pending[i])
+      })
+      pending = filter(
+        pending,
+        index => !(proofs[index] && hasAnchor(proofs[index].anchorsComplete, until)) && !includes(expired, index)
+      )
+    } catch (err) {
+      lastError = err
+    }
+    if (isEmpty(pending)) {
+      if (isEmpty(expired)) return proofs
+      let expiredHandles = map(expired, index => proofHandles[index])
+      let total = proofHandles.length
+      let err = new Error(`${expiredHandles.length} of ${total} proofs expired before being anchored to ${until}`)
+      err.expired = expiredHandles
+      err.proofs = proofs
+      throw err
+    }
+
+    let remaining = deadline - Date.now()
+    if (remaining <= 0) {
+      let pendingHandles = map(pending, index => proofHandles[index])
+      let total = proofHandles.length
+      let err = new Error(
+        `Timed out waiting for ${pendingHandles.length} of ${total} proofs to be anchored to ${until}`
+      )
+      err.pending = pendingHandles
+      err.proofs = proofs
+      err.lastError = lastError
+      throw err
+    }
+    await sleep(Math.min(delay, remaining))
+    delay = Math.min(delay * backoff, maxInterval)
+  }
+}
+
+/**
+ * Checks if a getProofs() result has a proof with at least as many anchors as the best one seen so far
+ * @param {Object} result - A getProofs() result, may be undefined if the Node did not return one
+ * @param {Object} best - The best result seen so far, or null
+ * @returns {bool} true if `result` should replace `best`
+ */
+function isMoreComplete(result, best) {
+  if (!result || !result.proof) return false
+  return !best || result.anchorsComplete.length >= best.anchorsComplete.length
+}
+
+export default waitForProofs
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import EventEmitter from 'events'
+import { every, filter, forEach, isInteger, map, reject } from 'lodash'
+
+import getProofs from './get'
+import { isValidProofHandle, hasAnchor } from './utils/proofs'
+import { testArrayArg, sleep, validatePollOptions } from './utils/helpers'
+import { DEFAULT_MAX_POLL_FAILURES } from './constants'
+
+// The stages a proof goes through, in order. A handle's stage is the index of the last event emitted for it.
+const STAGES = ['submitted', 'calendar-anchored', 'btc-anchored']
+const TARGET_STAGES = { cal: 1, btc: 2 }
+
+/**
+ * Watch the proofs of one or more proof handles as they are anchored, emitting an event each time a proof
+ * reaches a new stage. Events are available both as an EventEmitter and as an async iterator:
+ *
+ *   submitted - the Node has returned a response for the handle
+ *   calendar-anchored - the proof is anchored to the Calendar
+ *   btc-anchored - the proof is anchored to Bitcoin
+ *   expired - the Node does not know the proof, a proof that was retrieved before is no longer available,
+ *     or the proof is past the 24 hour Node retention period
+ *   failed - the Node could not be reached `maxFailures` times in a row
+ *
+ * Each event is an Object `{type, handle, proof}`, where `proof` is the latest getProofs() result with a proof for
+ * that handle (or null), and `failed` events also have an `error`. Once every handle has reached `until`,
+ * expired or failed, or the timeout is reached, an `end` event is emitted with the handles still `pending`.
+ *
+ * @param {Array<{uri: String, proofId: String}>} proofHandles - An Array of proof handles as returned by submitHashes()
+ * @param {Object} options - [Optional] `until` the last anchor level to watch for, 'cal' or 'btc' (default).
+ * `interval`, `backoff`, `maxInterval` and `timeout` as for waitForProofs(), and `maxFailures` before a handle has failed.
+ * @return {EventEmitter} An EventEmitter that is also an async iterator of events, with a `stop()` method to stop watching early.
+ * It can only be iterated once, listen for events to observe it from more than one place. Only events emitted after
+ * iteration starts are yielded.
+ */
+function watchProofs(proofHandles, options = {}) {
+  let { maxFailures = DEFAULT_MAX_POLL_FAILURES } = options
+
+  testArrayArg(proofHandles)
+  if (!every(proofHandles, isValidProofHandle)) throw new Error('proofHandles Array contains invalid Objects')
+  let { until, interval, backoff, maxInterval, timeout } = validatePollOptions(options, 'btc')
+  if (!isInteger(maxFailures) || maxFailures < 1) throw new Error('maxFailures option must be an Integer >= 1')
+
+  let watcher = new EventEmitter()
+  let states = map(proofHandles, handle => ({ handle, proof: null, stage: -1, failures: 0, done: false }))
+  let targetStage = TARGET_STAGES[until]
+
+  // Once the async iterator is used, events are queued for it so none are missed between iterations. They are not
+  // queued before then, so watchers that are only listened to do not keep every event.
+  let queue = []
+  let iterating = false
+  let ended = false
+  let wake = () => {}
+  // The wait between polls, cancelled when watching ends early
+  let pause = null
+
+  let emit = (type, state, extra) => {
+    if (ended) return
+    let event = { type, handle: state.handle, proof: state.proof, ...extra }
+    if (iterating) queue.push(event)
+    watcher.emit(type, event)
+    wake()
+  }
+
+  let end = () => {
+    if (ended) return
+    ended = true
+    if (pause) pause.cancel()
+    watcher.emit('end', { type: 'end', pending: map(reject(states, 'done'), 'handle') })
+    wake()
+  }
+
+  let update = (state, result) => {
+    if (result.status === 'node_error') return fail(state, result.error)
+    state.failures = 0
+    if (!result.proof) {
+      // Nodes only keep proofs for a limited time, so an unknown proof or one that has gone away has expired
+      if (result.status === 'not_found' || state.proof) {
+        state.done = true
+        emit('expired', state)
+      } else if (state.stage < 0) {
+        state.stage = 0
+        emit(STAGES[0], state)
+      }
+      return
+    }
+
+    state.proof = result
+    let reached = hasAnchor(result.anchorsComplete, 'btc') ? 2 : hasAnchor(result.anchorsComplete, 'cal') ? 1 : 0
+    // emit every stage in order, even if more than one was reached since the last poll
+    while (state.stage < reached) {
+      state.stage++
+      emit(STAGES[state.stage], state)
+    }
+    if (state.stage >= targetStage) state.done = true
+  }
+
+  let fail = (state, error) => {
+    state.failures++
+    if (state.failures < maxFailures) return
+    state.done = true
+    emit('failed', state, { error })
+  }
+
+  let poll = async () => {
+    let deadline = Date.now() + timeout
+    let delay = interval
+
+    while (!ended) {
+      // getProofs returns a result for each handle, in the same order, with a status
+      // so a failed Node only affects its own handles. Proofs past the Node retention
+      // period are not requested, and are not_found so they expire.
+      let active = filter(states, state => !state.done)
+      let results
+      try {
+        results = await getProofs(map(active, 'handle'), { expired: 'skip' })
+      } catch (err) {
+        results = map(active, () => ({ status: 'node_error', error: err }))
+      }
+      forEach(active, (state, i) => update(state, results[i]))
+
+      let remaining = deadline - Date.now()
+      if (every(states, 'done') || remaining <= 0) break
+      pause = sleep(Math.min(delay, remaining))
+      await pause
+      pause = null
+      delay = Math.min(delay * backoff, maxInterval)
+    }
+    end()
+  }
+
+  watcher.stop = end
+  let iterateEvents = async function*() {
+    for (;;) {
+      while (queue.length) yield queue.shift()
+      if (ended) return
+      await new Promise(resolve => (wake = resolve))
+    }
+  }
+  watcher[Symbol.asyncIterator] = () => {
+    // A second iterator would take events from the same queue, so each would only see some of them
+    if (iterating) throw new Error('watchProofs can only be iterated once, listen for events instead')
+    iterating = true
+    return iterateEvents()
+  }
+
+  poll()
+  return watcher
+}
+
+export default watchProofs
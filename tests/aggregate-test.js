@@ -0,0 +1,83 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import sinon from 'sinon'
+import chp from 'chainpoint-binary'
+import { range } from 'lodash'
+
+import * as submit from '../lib/submit'
+import { submitAggregate, stitchProofs } from '../lib/aggregate'
+import { evaluateProofs } from '../index'
+import { merkle } from '../lib/utils'
+import btcProof from './data/btc-proof'
+import nodes from './data/nodes'
+
+describe('aggregate', () => {
+  let hashes, root, rootProof
+  beforeEach(() => {
+    hashes = range(7).map(i => i.toString(16).padStart(64, '0'))
+    root = merkle.getMerkleRoot(merkle.buildMerkleTree(hashes))
+    rootProof = { ...btcProof, hash: root }
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('submitAggregate', () => {
+    it('should submit only the Merkle root', async () => {
+      let handles = [{ uri: nodes[0], hash: root, proofId: 'id', groupId: 'group' }]
+      sinon.stub(submit, 'submitHashes').resolves(handles)
+
+      let aggregate = await submitAggregate(hashes, nodes)
+
+      expect(submit.submitHashes.calledOnceWith([root], nodes)).to.be.true
+      expect(aggregate).to.eql({ root, hashes, proofHandles: handles })
+    })
+
+    it('should reject invalid hashes', async () => {
+      let notHex
+      try {
+        await submitAggregate(['not a hash'], nodes)
+      } catch (e) {
+        notHex = true
+      }
+      expect(notHex, 'Should have thrown with a non-hex hash').to.be.true
+    })
+  })
+
+  describe('stitchProofs', () => {
+    it('should create a proof for each hash that evaluates to the same anchors as the root proof', () => {
+      let leafProofs = stitchProofs(hashes, rootProof)
+      let rootAnchors = evaluateProofs([rootProof])
+
+      expect(leafProofs).to.have.lengthOf(hashes.length)
+      leafProofs.forEach((leafProof, index) => {
+        expect(leafProof.hash).to.equal(hashes[index])
+        let leafAnchors = evaluateProofs([leafProof])
+        expect(leafAnchors.map(anchor => anchor.expected_value)).to.eql(
+          rootAnchors.map(anchor => anchor.expected_value)
+        )
+      })
+    })
+
+    it('should accept the root proof in binary form and produce proofs that can be serialized', () => {
+      let leafProofs = stitchProofs(hashes, { proof: chp.objectToBase64Sync(rootProof) })
+      leafProofs.forEach(leafProof => expect(() => chp.objectToBinarySync(leafProof)).not.to.throw())
+    })
+
+    it('should throw if the proof is not for the aggregate root', () => {
+      expect(() => stitchProofs(hashes, btcProof)).to.throw('expected the aggregate root')
+    })
+  })
+})
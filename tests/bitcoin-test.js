@@ -0,0 +1,72 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+
+import { decodeBtcTx, getOpReturnData } from '../lib/utils/bitcoin'
+import { getProofTxs } from '../index'
+import btcProof from './data/btc-proof.json'
+
+describe('bitcoin utilities', () => {
+  let rawTx
+
+  before(() => {
+    rawTx = getProofTxs([btcProof])[0].raw_btc_tx
+  })
+
+  describe('decodeBtcTx', () => {
+    it('should decode a raw transaction', () => {
+      let tx = decodeBtcTx(rawTx)
+
+      expect(tx).to.include({
+        txid: 'b325182a80ced7c100c20477312ef9cb071260d6130bde4edaff21f7ebcdbc6b',
+        version: 1,
+        locktime: 0
+      })
+      expect(tx.inputs).to.have.lengthOf(1)
+      expect(tx.inputs[0]).to.include({ vout: 1, sequence: 0xffffffff })
+      expect(tx.outputs.map(output => output.value)).to.eql([0, 37906890])
+    })
+
+    it('should decode a segwit transaction with the txid of its data without witnesses', () => {
+      let tx = decodeBtcTx(rawTx)
+      // the same transaction with a marker, flag and one witness item of 2 bytes for its input
+      let segwitTx = rawTx.slice(0, 8) + '0001' + rawTx.slice(8, -8) + '0102abcd' + rawTx.slice(-8)
+
+      let decoded = decodeBtcTx(segwitTx)
+
+      expect(decoded.txid).to.equal(tx.txid)
+      expect(decoded.inputs[0].witness).to.eql(['abcd'])
+      expect(decoded.outputs).to.eql(tx.outputs)
+    })
+
+    it('should reject invalid transactions', () => {
+      expect(() => decodeBtcTx('xyz')).to.throw('Hexadecimal String')
+      expect(() => decodeBtcTx(rawTx.slice(0, -2))).to.throw('truncated')
+      expect(() => decodeBtcTx(rawTx + '00')).to.throw('trailing data')
+    })
+  })
+
+  describe('getOpReturnData', () => {
+    it('should get the data pushed by OP_RETURN scripts', () => {
+      expect(getOpReturnData('6a02abcd')).to.equal('abcd')
+      expect(getOpReturnData(`6a4c50${'ab'.repeat(80)}`)).to.equal('ab'.repeat(80))
+      expect(getOpReturnData('6a4d0200abcd')).to.equal('abcd')
+    })
+
+    it('should return null for other scripts', () => {
+      expect(getOpReturnData('76a9149f1f4038857beedd34cc5ba9f26ac7a20c04d51988ac')).to.be.null
+      expect(getOpReturnData('6a03abcd')).to.be.null
+      expect(getOpReturnData('6a')).to.be.null
+    })
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import chp from 'chainpoint-binary'
+import uuidv1 from 'uuid/v1'
+import { cloneDeep } from 'lodash'
+
+import { consolidateProofs } from '../index'
+import btcProof from './data/btc-proof'
+import nodes from './data/nodes'
+
+describe('consolidateProofs', () => {
+  let hash, groupId, btcResult, calResult
+
+  // a getProofs() result for a proof Object
+  function result(proof, anchorsComplete, extra) {
+    return {
+      uri: nodes[0],
+      hash,
+      groupId,
+      proofId: uuidv1(),
+      proof: proof ? chp.objectToBase64Sync(proof) : null,
+      anchorsComplete,
+      status: proof ? 'ok' : 'pending',
+      ...extra
+    }
+  }
+
+  beforeEach(() => {
+    hash = btcProof.hash
+    groupId = uuidv1()
+    // the same proof with only its Calendar anchor
+    let calProof = { ...btcProof, branches: [{ ...btcProof.branches[0], branches: undefined }] }
+    delete calProof.branches[0].branches
+    btcResult = result(btcProof, ['cal', 'btc'])
+    calResult = result(calProof, ['cal'], { uri: nodes[1] })
+  })
+
+  it('should reject invalid arguments', () => {
+    expect(() => consolidateProofs([])).to.throw()
+    expect(() => consolidateProofs(['not a result'])).to.throw('results from getProofs()')
+  })
+
+  it('should choose the most complete proof for each group', () => {
+    let pending = result(null, [])
+    let other = result(null, [], { hash: 'a'.repeat(64), groupId: uuidv1() })
+
+    let groups = consolidateProofs([calResult, other, pending, btcResult])
+
+    expect(groups).to.have.lengthOf(2)
+    expect(groups[0]).to.include({ groupId, hash, proof: btcResult, conflict: false })
+    expect(groups[0].proofs).to.eql([calResult, pending, btcResult])
+    expect(groups[1]).to.include({ groupId: other.groupId, proof: null, conflict: false })
+  })
+
+  it('should rank a btc anchor ahead of a cal anchor', () => {
+    let testnet = result(btcProof, ['tbtc'])
+    let groups = consolidateProofs([calResult, testnet])
+
+    expect(groups[0].proof).to.equal(testnet)
+  })
+
+  it('should flag proofs for a different hash as conflicting', () => {
+    let wrongHash = result({ ...btcProof, hash: 'b'.repeat(64) }, ['cal', 'btc'])
+    let unreadable = result(null, ['cal'], { proof: 'not a proof', status: 'ok' })
+
+    let [group] = consolidateProofs([wrongHash, calResult, unreadable])
+
+    expect(group.conflict).to.be.true
+    expect(group.conflictingProofs).to.eql([wrongHash, unreadable])
+    expect(group.proof).to.equal(calResult)
+  })
+
+  it('should flag proofs with different anchors as conflicting', () => {
+    // a proof anchored to another calendar block, and one anchored to another Bitcoin block merkle root
+    let otherCal = cloneDeep(btcProof)
+    otherCal.branches[0].ops.find(op => op.anchors).anchors[0].anchor_id = '985636'
+    let otherBtc = cloneDeep(btcProof)
+    let btcOps = otherBtc.branches[0].branches[0].ops
+    btcOps[btcOps.length - 3] = { r: 'ab'.repeat(32) }
+    let otherCalResult = result(otherCal, ['cal', 'btc'], { uri: nodes[1] })
+    let otherBtcResult = result(otherBtc, ['cal', 'btc'], { uri: nodes[1] })
+
+    let [group] = consolidateProofs([btcResult, otherCalResult, calResult, otherBtcResult])
+
+    expect(group.conflict).to.be.true
+    expect(group.proof).to.equal(btcResult)
+    expect(group.conflictingProofs).to.eql([otherCalResult, otherBtcResult])
+
+    // a proof with fewer anchors agrees with the anchors it does have
+    ;[group] = consolidateProofs([btcResult, calResult])
+    expect(group.conflict).to.be.false
+  })
+
+  it('should group results without a groupId on their own', () => {
+    let groups = consolidateProofs([
+      { ...btcResult, groupId: undefined },
+      { ...calResult, groupId: undefined, hash: undefined }
+    ])
+
+    expect(groups).to.have.lengthOf(2)
+    groups.forEach(group => expect(group.groupId).to.be.null)
+    expect(groups[1].hash).to.equal(hash)
+  })
+})
@@ -0,0 +1,93 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import chp from 'chainpoint-binary'
+
+import { convertProof, convertProofs } from '../index'
+import btcProof from './data/btc-proof.json'
+
+describe('convertProof', () => {
+  let formats, base64Proof
+
+  before(() => {
+    base64Proof = chp.objectToBase64Sync(btcProof)
+    formats = {
+      json: JSON.stringify(btcProof),
+      object: btcProof,
+      binary: Buffer.from(base64Proof, 'base64'),
+      base64: base64Proof,
+      hex: Buffer.from(base64Proof, 'base64').toString('hex')
+    }
+  })
+
+  it('should convert to each format', () => {
+    expect(convertProof(btcProof, 'json')).to.be.a('string')
+    expect(JSON.parse(convertProof(btcProof, 'json'))).to.eql(btcProof)
+    expect(convertProof(base64Proof, 'object')).to.eql(btcProof)
+    expect(convertProof(btcProof, 'binary')).to.satisfy(Buffer.isBuffer)
+    expect(convertProof(btcProof, 'base64')).to.equal(base64Proof)
+    expect(convertProof(btcProof, 'hex')).to.equal(formats.hex)
+  })
+
+  it('should round-trip losslessly between every pair of formats', () => {
+    Object.keys(formats).forEach(from =>
+      Object.keys(formats).forEach(to => {
+        let converted = convertProof(formats[from], to)
+        expect(convertProof(converted, from), `${from} -> ${to} -> ${from}`).to.eql(formats[from])
+        expect(convertProof(converted, 'object'), `${from} -> ${to}`).to.eql(btcProof)
+      })
+    )
+  })
+
+  it('should convert getProofs() results', () => {
+    let result = { proofId: btcProof.proof_id, proof: base64Proof, anchorsComplete: ['cal', 'btc'], status: 'ok' }
+    expect(convertProof(result, 'object')).to.eql(btcProof)
+  })
+
+  it('should not change the proof it converts', () => {
+    let proof = JSON.parse(JSON.stringify(btcProof))
+    convertProof(proof, 'object').hash = 'changed'
+    expect(proof).to.eql(btcProof)
+  })
+
+  it('should reject unknown formats and invalid proofs', () => {
+    expect(() => convertProof(btcProof, 'xml')).to.throw('to arg must be one of')
+    expect(() => convertProof('not a proof', 'object')).to.throw('unknown proof format')
+    expect(() => convertProof({ proofId: btcProof.proof_id, proof: null }, 'json')).to.throw('unknown proof format')
+    expect(() => convertProof({ ...btcProof, hash: 'not a hash' }, 'base64')).to.throw('schema validation error')
+  })
+
+  it('should reject invalid JSON and Object proofs when converting to json or object', () => {
+    let invalidProof = { ...btcProof, hash: 'not a hash' }
+    expect(() => convertProof(invalidProof, 'object')).to.throw('schema validation error')
+    expect(() => convertProof(invalidProof, 'json')).to.throw('schema validation error')
+    expect(() => convertProof(JSON.stringify(invalidProof), 'object')).to.throw('schema validation error')
+    expect(() => convertProof(JSON.stringify({ foo: 'bar' }), 'json')).to.throw('schema validation error')
+  })
+})
+
+describe('convertProofs', () => {
+  it('should convert every proof in order', () => {
+    let base64Proof = chp.objectToBase64Sync(btcProof)
+    let proofs = convertProofs([base64Proof, btcProof, JSON.stringify(btcProof)], 'base64')
+
+    expect(proofs).to.eql([base64Proof, base64Proof, base64Proof])
+  })
+
+  it('should only accept an Array and name the proof that could not be converted', () => {
+    expect(() => convertProofs([], 'json')).to.throw()
+    expect(() => convertProofs('not an array', 'json')).to.throw()
+    expect(() => convertProofs([btcProof], 'xml')).to.throw('to arg must be one of')
+    expect(() => convertProofs([btcProof, 'not a proof'], 'json')).to.throw('proofs[1] could not be converted')
+  })
+})
@@ -12,10 +12,13 @@
  */
 import { expect } from 'chai'
 import nock from 'nock'
-import { forEach, isEmpty } from 'lodash'
+import sinon from 'sinon'
+import { forEach, isEmpty, range, flatten } from 'lodash'
+import uuidv1 from 'uuid/v1'
 
 import proofHandles from './data/proof-handles'
 import proofsResponse from './data/proofs-response'
+import nodeURIs from './data/nodes'
 import { getProofs, evaluateProofs } from '../index'
 
 describe('getProofs', () => {
@@ -31,7 +34,7 @@ describe('getProofs', () => {
   })
 
   it('should only accept an array of valid proof handles', async () => {
-    let emptyArray, notArray, tooManyHandles, invalidHandle, badURIs, badUUID
+    let emptyArray, notArray, invalidHandle, badURIs, badUUID
 
     try {
       await getProofs([])
@@ -47,17 +50,6 @@ describe('getProofs', () => {
     }
     expect(notArray, 'Should have thrown with a non-array arg').to.be.true
 
-    try {
-      let largeDataSet = [...proofHandles]
-      while (largeDataSet.length < 251) {
-        largeDataSet.push(...proofHandles)
-      }
-      await getProofs(largeDataSet)
-    } catch (e) {
-      if (e.message.indexOf('<= 250') > -1) tooManyHandles = true
-    }
-    expect(tooManyHandles, 'Should have thrown with a data set larger than 250 items').to.be.true
-
     try {
       await getProofs([{ ...proofHandles[0], uri: undefined }])
     } catch (e) {
@@ -80,6 +72,183 @@ describe('getProofs', () => {
     expect(badUUID, 'Should have thrown with an invalid hashIdNode').to.be.true
   })
 
+  describe('batching', () => {
+    let handles, requests
+
+    beforeEach(() => {
+      // 300 handles for the first Node and 2 for the second
+      handles = range(302).map(i => ({ uri: nodeURIs[i < 300 ? 0 : 1], proofId: uuidv1() }))
+      requests = []
+      nodeURIs.forEach(uri =>
+        nock(uri)
+          .persist()
+          .get('/proofs')
+          .reply(200, function() {
+            let proofIds = String(this.req.headers.hashids).split(',')
+            requests.push({ uri, proofIds })
+            // return results in reverse to check they are put back in handle order.
+            // Stringified as nock treats some Arrays returned here as a [status, body] pair
+            return JSON.stringify(
+              proofIds
+                .map(proofId => ({ proof_id: proofId, proof: `proof ${proofId}`, anchors_complete: ['cal'] }))
+                .reverse()
+            )
+          })
+      )
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+    })
+
+    it('should split large requests into chunks the Node will accept', async () => {
+      await getProofs(handles)
+
+      expect(requests).to.have.lengthOf(4)
+      requests.forEach(({ proofIds }) => {
+        expect(proofIds.length).to.be.at.most(250)
+        expect(proofIds.join(',').length).to.be.at.most(4096)
+      })
+      let firstNodeIds = flatten(requests.filter(({ uri }) => uri === nodeURIs[0]).map(({ proofIds }) => proofIds))
+      expect(firstNodeIds).to.have.members(handles.slice(0, 300).map(handle => handle.proofId))
+    })
+
+    it('should merge the results back in handle order', async () => {
+      let proofs = await getProofs(handles, { concurrency: 2 })
+
+      expect(proofs.map(proof => proof.proofId)).to.eql(handles.map(handle => handle.proofId))
+      let { expiresIn, ...first } = proofs[0]
+      expect(first).to.eql({
+        uri: nodeURIs[0],
+        proofId: handles[0].proofId,
+        proof: `proof ${handles[0].proofId}`,
+        anchorsComplete: ['cal'],
+        status: 'ok',
+        expired: false
+      })
+      expect(expiresIn).to.be.within(23 * 60 * 60 * 1000, 24 * 60 * 60 * 1000)
+    })
+
+    it('should request each proof ID only once', async () => {
+      await getProofs([handles[0], handles[0], handles[1]])
+
+      expect(requests).to.have.lengthOf(1)
+      expect(requests[0].proofIds).to.eql([handles[0].proofId, handles[1].proofId])
+    })
+
+    it('should reject an invalid concurrency option', async () => {
+      let error
+      try {
+        await getProofs(handles, { concurrency: 0 })
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('concurrency option')
+      expect(requests).to.be.empty
+    })
+  })
+
+  describe('partial results', () => {
+    let handles
+
+    beforeEach(() => {
+      handles = {
+        ok: { uri: nodeURIs[0], proofId: uuidv1() },
+        pending: { uri: nodeURIs[0], proofId: uuidv1() },
+        // proofs are only kept by Nodes for 24 hours
+        expired: { uri: nodeURIs[0], proofId: uuidv1({ msecs: Date.now() - 25 * 60 * 60 * 1000 }) },
+        unknown: { uri: nodeURIs[0], proofId: uuidv1() },
+        nodeError: { uri: nodeURIs[1], proofId: uuidv1() }
+      }
+      nock(nodeURIs[0])
+        .get('/proofs')
+        .reply(200, [
+          { proof_id: handles.ok.proofId, proof: 'proof', anchors_complete: ['cal'] },
+          { proof_id: handles.pending.proofId, proof: null, anchors_complete: [] },
+          { proof_id: handles.expired.proofId, proof: null, anchors_complete: [] }
+        ])
+      nock(nodeURIs[1])
+        .get('/proofs')
+        .replyWithError('connection refused')
+    })
+
+    afterEach(() => {
+      nock.cleanAll()
+      sinon.restore()
+    })
+
+    it('should return a result with a status for every handle', async () => {
+      let proofs = await getProofs(Object.values(handles))
+
+      expect(proofs.map(proof => proof.proofId)).to.eql(Object.values(handles).map(handle => handle.proofId))
+      expect(proofs.map(proof => proof.status)).to.eql(['ok', 'pending', 'not_found', 'not_found', 'node_error'])
+      expect(proofs[0].proof).to.equal('proof')
+      expect(proofs[4].uri).to.equal(nodeURIs[1])
+      proofs.slice(1).forEach(proof => expect(proof).to.include({ proof: null }))
+      expect(proofs[4].error.message).to.have.string('connection refused')
+    })
+
+    it('should flag handles past the retention period and report the time remaining', async () => {
+      let proofs = await getProofs(Object.values(handles))
+
+      expect(proofs.map(proof => proof.expired)).to.eql([false, false, true, false, false])
+      expect(proofs[2].expiresIn).to.equal(0)
+      expect(proofs[0].expiresIn).to.be.above(0)
+    })
+
+    it('should not request handles past the retention period with expired skip', async () => {
+      nock.cleanAll()
+      let requested
+      nock(nodeURIs[0])
+        .get('/proofs')
+        .reply(200, function() {
+          requested = String(this.req.headers.hashids).split(',')
+          return [{ proof_id: handles.ok.proofId, proof: 'proof', anchors_complete: ['cal'] }]
+        })
+
+      let proofs = await getProofs([handles.ok, handles.expired], { expired: 'skip' })
+
+      expect(requested).to.eql([handles.ok.proofId])
+      expect(proofs.map(proof => proof.status)).to.eql(['ok', 'not_found'])
+      expect(proofs[1]).to.include({ proofId: handles.expired.proofId, proof: null, expiresIn: 0 })
+      expect(proofs[1].expired).to.be.true
+
+      // no request is made when every handle has expired
+      expect((await getProofs([handles.expired], { expired: 'skip' }))[0].status).to.equal('not_found')
+    })
+
+    it('should refuse handles past the retention period with expired refuse', async () => {
+      let error
+      try {
+        await getProofs(Object.values(handles), { expired: 'refuse' })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error.message).to.have.string(handles.expired.proofId)
+      expect(error.expired).to.eql([handles.expired])
+
+      try {
+        await getProofs(Object.values(handles), { expired: 'ignore' })
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.have.string('expired option')
+    })
+
+    it('should report a Node error response as a node_error', async () => {
+      nock.cleanAll()
+      nock(nodeURIs[1])
+        .get('/proofs')
+        .reply(500, { message: 'internal error' })
+
+      let [proof] = await getProofs([handles.nodeError])
+
+      expect(proof.status).to.equal('node_error')
+      expect(proof.error.message).to.equal('internal error')
+    })
+  })
+
   describe('network responses', () => {
     let mockedReponses
 
@@ -0,0 +1,170 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import sinon from 'sinon'
+import crypto from 'crypto'
+
+import { hashing } from '../lib/utils'
+import { FakeBlob } from './helpers'
+const { AbortController } = require('abortcontroller-polyfill/dist/cjs-ponyfill')
+
+describe('hashing utilities', () => {
+  // digests of the UTF-8 string 'abc'
+  const digests = {
+    'sha-256': 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    'sha-512':
+      'ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f',
+    'sha3-256': '3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532',
+    'blake2b-512':
+      'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923'
+  }
+
+  describe('isValidHashAlgorithm', () => {
+    it('should only accept supported algorithms', () => {
+      Object.keys(digests).forEach(algorithm => expect(hashing.isValidHashAlgorithm(algorithm)).to.be.true)
+      expect(hashing.isValidHashAlgorithm('md5')).to.be.false
+      expect(hashing.isValidHashAlgorithm(undefined)).to.be.false
+    })
+  })
+
+  describe('toBytes', () => {
+    it('should convert supported data types to bytes', () => {
+      let expected = [97, 98, 99]
+      expect(Array.from(hashing.toBytes('abc'))).to.eql(expected)
+      expect(Array.from(hashing.toBytes(Buffer.from('abc')))).to.eql(expected)
+      expect(Array.from(hashing.toBytes(new Uint8Array(expected)))).to.eql(expected)
+      expect(Array.from(hashing.toBytes(new Uint8Array(expected).buffer))).to.eql(expected)
+      expect(() => hashing.toBytes({ foo: 'bar' })).to.throw()
+    })
+  })
+
+  describe('hashData', () => {
+    it('should hash data with each supported algorithm', async () => {
+      for (let algorithm of Object.keys(digests)) {
+        expect(await hashing.hashData('abc', algorithm), algorithm).to.equal(digests[algorithm])
+      }
+    })
+
+    it('should default to sha-256', async () => {
+      expect(await hashing.hashData(Buffer.from('abc'))).to.equal(digests['sha-256'])
+    })
+
+    it('should reject unsupported algorithms', async () => {
+      let unsupported
+      try {
+        await hashing.hashData('abc', 'md5')
+      } catch (e) {
+        unsupported = true
+      }
+      expect(unsupported, 'Should have thrown with an unsupported algorithm').to.be.true
+    })
+
+    describe('in the browser', () => {
+      let originalWindow, digest
+      beforeEach(() => {
+        originalWindow = global.window
+        digest = sinon.fake(async (name, data) => {
+          let hash = crypto
+            .createHash(name.replace('-', '').toLowerCase())
+            .update(data)
+            .digest()
+          return hash.buffer.slice(hash.byteOffset, hash.byteOffset + hash.byteLength)
+        })
+        global.window = { crypto: { subtle: { digest } } }
+      })
+
+      afterEach(() => {
+        global.window = originalWindow
+      })
+
+      it('should use WebCrypto for SHA-2 algorithms', async () => {
+        expect(await hashing.hashData('abc', 'sha-512')).to.equal(digests['sha-512'])
+        expect(digest.calledOnce).to.be.true
+        expect(digest.firstCall.args[0]).to.equal('SHA-512')
+      })
+
+      it('should not use WebCrypto for algorithms it does not support', async () => {
+        expect(await hashing.hashData('abc', 'sha3-256')).to.equal(digests['sha3-256'])
+        expect(digest.called).to.be.false
+      })
+    })
+  })
+  describe('isBlob', () => {
+    it('should detect File and Blob like objects', () => {
+      expect(hashing.isBlob(new FakeBlob('abc'))).to.be.true
+      expect(hashing.isBlob(Buffer.from('abc'))).to.be.false
+      expect(hashing.isBlob('abc')).to.be.false
+    })
+  })
+
+  describe('sha256Blob', () => {
+    let content, hash
+    before(() => {
+      content = 'I am the content of a file selected in the browser'
+      hash = crypto
+        .createHash('sha256')
+        .update(content, 'utf8')
+        .digest('hex')
+    })
+
+    it('should hash a Blob in chunks and return its details', async () => {
+      let blob = new FakeBlob(content, { name: 'file.txt', lastModified: 1546300800000 })
+      let hashObj = await hashing.sha256Blob(blob, { chunkSize: 8 })
+
+      expect(hashObj).to.eql({ name: 'file.txt', size: blob.size, lastModified: 1546300800000, hash })
+      expect(blob.slicesRead).to.equal(Math.ceil(blob.size / 8))
+    })
+
+    it('should fall back to FileReader when Blob.arrayBuffer is not available', async () => {
+      global.FileReader = class {
+        readAsArrayBuffer(slice) {
+          this.result = slice.bytes
+          this.onload()
+        }
+      }
+      let hashObj = await hashing.sha256Blob(new FakeBlob(content, { useFileReader: true }), { chunkSize: 8 })
+      delete global.FileReader
+
+      expect(hashObj.hash).to.equal(hash)
+    })
+
+    it('should report progress after each chunk', async () => {
+      let blob = new FakeBlob(content)
+      let updates = []
+      await hashing.sha256Blob(blob, { chunkSize: 16, onProgress: update => updates.push(update.bytesRead) })
+
+      expect(updates).to.have.lengthOf(Math.ceil(blob.size / 16))
+      expect(updates[0]).to.equal(16)
+      expect(updates[updates.length - 1]).to.equal(blob.size)
+    })
+
+    it('should stop reading and reject with an AbortError when aborted', async () => {
+      let controller = new AbortController()
+      let blob = new FakeBlob(content)
+      let error
+      try {
+        await hashing.sha256Blob(blob, {
+          chunkSize: 8,
+          signal: controller.signal,
+          onProgress: () => controller.abort()
+        })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).to.be.an('error')
+      expect(error.name).to.equal('AbortError')
+      expect(blob.slicesRead).to.equal(1)
+    })
+  })
+})
@@ -0,0 +1,168 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import path from 'path'
+import fs from 'bfile'
+
+import { createHeadersFileSource, createBitcoindSource, createEsploraSource } from '../index'
+import { getMerkleRoot } from '../lib/resolvers'
+
+// Build an 80 byte raw header in Hexadecimal for a merkle root, which is stored in reverse byte order
+function rawHeader(merkleRoot) {
+  let reversed = Buffer.from(merkleRoot, 'hex')
+    .reverse()
+    .toString('hex')
+  return '01000000' + '00'.repeat(32) + reversed + '00'.repeat(12)
+}
+
+describe('block header sources', () => {
+  let roots
+
+  beforeEach(() => {
+    roots = ['11'.repeat(32), '22'.repeat(32), '33'.repeat(32)]
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  describe('createHeadersFileSource', () => {
+    let testPath
+
+    before(async () => {
+      testPath = '/tmp/chainpoint_headers_test'
+      await fs.mkdirp(testPath)
+    })
+
+    after(async () => {
+      await fs.remove(testPath)
+    })
+
+    it('should reject invalid arguments', () => {
+      expect(() => createHeadersFileSource('')).to.throw('filePath arg')
+      expect(() => createHeadersFileSource('headers', { format: 'csv' })).to.throw('format option')
+      expect(() => createHeadersFileSource('headers', { startHeight: -1 })).to.throw('startHeight option')
+    })
+
+    it('should read headers keyed by height from a JSON file', async () => {
+      let filePath = path.resolve(testPath, 'headers.json')
+      fs.writeFileSync(filePath, JSON.stringify({ 100: rawHeader(roots[0]), 101: { merkleroot: roots[1] } }))
+      let source = createHeadersFileSource(filePath)
+
+      expect(getMerkleRoot(await source.getBlockHeader(100), 100)).to.equal(roots[0])
+      expect(getMerkleRoot(await source.getBlockHeader(101), 101)).to.equal(roots[1])
+      expect(await source.getBlockHeader(102)).to.be.null
+    })
+
+    it('should read an Array of bitcoind headers from a JSON file', async () => {
+      let filePath = path.resolve(testPath, 'getblockheader.json')
+      fs.writeFileSync(filePath, JSON.stringify(roots.map((merkleroot, i) => ({ height: 500 + i, merkleroot }))))
+      let source = createHeadersFileSource(filePath)
+
+      expect((await source.getBlockHeader(502)).merkleroot).to.equal(roots[2])
+
+      fs.writeFileSync(filePath, JSON.stringify([{ merkleroot: roots[0] }]))
+      let error
+      try {
+        await createHeadersFileSource(filePath).getBlockHeader(500)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('with a height')
+    })
+
+    it('should read consecutive raw headers from a binary file', async () => {
+      let filePath = path.resolve(testPath, 'blockchain_headers')
+      fs.writeFileSync(filePath, Buffer.from(roots.map(rawHeader).join(''), 'hex'))
+      let source = createHeadersFileSource(filePath, { startHeight: 1000 })
+
+      expect(await source.getBlockHeader(1000)).to.equal(rawHeader(roots[0]))
+      expect(await source.getBlockHeader(1002)).to.equal(rawHeader(roots[2]))
+      expect(await source.getBlockHeader(999)).to.be.null
+      expect(await source.getBlockHeader(1003)).to.be.null
+    })
+  })
+
+  describe('createBitcoindSource', () => {
+    let uri = 'http://127.0.0.1:8332'
+
+    it('should look headers up with getblockhash and getblockheader', async () => {
+      let auth
+      nock(uri)
+        .post('/', body => body.method === 'getblockhash' && body.params[0] === 503275)
+        .reply(200, function() {
+          auth = String(this.req.headers.authorization)
+          return { result: 'ab'.repeat(32), error: null, id: 1 }
+        })
+        .post('/', body => body.method === 'getblockheader' && body.params[0] === 'ab'.repeat(32))
+        .reply(200, { result: { height: 503275, merkleroot: roots[0] }, error: null, id: 2 })
+      let source = createBitcoindSource(uri, { username: 'user', password: 'pass' })
+
+      expect(await source.getBlockHeader(503275)).to.eql({ height: 503275, merkleroot: roots[0] })
+      expect(auth).to.equal(`Basic ${Buffer.from('user:pass').toString('base64')}`)
+    })
+
+    it('should resolve null for heights above the chain tip and reject other RPC errors', async () => {
+      nock(uri)
+        .post('/')
+        .reply(500, { result: null, error: { code: -8, message: 'Block height out of range' }, id: 1 })
+        .post('/')
+        .reply(500, { result: null, error: { code: -28, message: 'Loading block index...' }, id: 2 })
+      let source = createBitcoindSource(uri)
+
+      expect(await source.getBlockHeader(10000000)).to.be.null
+      let error
+      try {
+        await source.getBlockHeader(1)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.equal('bitcoind getblockhash failed : Loading block index...')
+    })
+  })
+
+  describe('createEsploraSource', () => {
+    let uri = 'http://127.0.0.1:3000'
+
+    it('should look headers up by height', async () => {
+      nock(uri)
+        .get('/block-height/503275')
+        .reply(200, 'ab'.repeat(32))
+        .get(`/block/${'ab'.repeat(32)}`)
+        .reply(200, { height: 503275, merkle_root: roots[0] })
+
+      let header = await createEsploraSource(`${uri}/`).getBlockHeader(503275)
+
+      expect(getMerkleRoot(header, 503275)).to.equal(roots[0])
+    })
+
+    it('should resolve null for unknown heights and reject other errors', async () => {
+      nock(uri)
+        .get('/block-height/10000000')
+        .reply(404, 'Block not found')
+        .get('/block-height/1')
+        .reply(503)
+      let source = createEsploraSource(uri)
+
+      expect(await source.getBlockHeader(10000000)).to.be.null
+      let error
+      try {
+        await source.getBlockHeader(1)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('HTTP status 503')
+    })
+  })
+})
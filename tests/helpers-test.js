@@ -4,6 +4,8 @@ import fs from 'bfile'
 import crypto from 'crypto'
 import path from 'path'
 import nock from 'nock'
+import EventEmitter from 'events'
+const { AbortController } = require('abortcontroller-polyfill/dist/cjs-ponyfill')
 
 describe('helpers utilities', () => {
   let testPath
@@ -82,6 +84,33 @@ describe('helpers utilities', () => {
     })
   })
 
+  describe('fetchEndpointsSettled', () => {
+    it('should settle each request on its own and report failures', async () => {
+      nock('http://ok.com')
+        .get('/')
+        .reply(200, { data: 'success!' })
+      nock('http://notfound.com')
+        .get('/')
+        .reply(404, { message: 'not here' })
+      nock('http://down.com')
+        .get('/')
+        .replyWithError('socket hang up')
+
+      let results = await helpers.fetchEndpointsSettled([
+        { uri: 'http://ok.com', method: 'GET' },
+        { uri: 'http://notfound.com', method: 'GET' },
+        { uri: 'http://down.com', method: 'GET' }
+      ])
+
+      expect(results[0].value).to.eql({ data: 'success!' })
+      expect(results[0].status).to.equal(200)
+      expect(results[1].error.message).to.equal('not here')
+      expect(results[1].status).to.equal(404)
+      expect(results[2].error.message).to.have.string('socket hang up')
+      expect(results[2].status).to.be.null
+    })
+  })
+
   describe('validateHashesArg', () => {
     it('should reject invalid arguments', () => {
       let { validateHashesArg } = helpers
@@ -96,6 +125,131 @@ describe('helpers utilities', () => {
         expect(test, `invoking ${test.name} should have thrown but passed the validation`).to.throw()
       )
     })
+
+    it('should accept a custom max length', () => {
+      let { validateHashesArg } = helpers
+      let items = Array(300).fill('a')
+      expect(() => validateHashesArg(items, item => item, Infinity)).not.to.throw()
+      expect(() => validateHashesArg(items, item => item, 10)).to.throw('<= 10 elements')
+    })
+  })
+
+  describe('validateHashes', () => {
+    let sha256, sha512
+    before(() => {
+      sha256 = 'a'.repeat(64)
+      sha512 = 'b'.repeat(128)
+    })
+    it('should accept hashes between 40 and 128 Hexadecimal characters', () => {
+      expect(() => helpers.validateHashes(['c'.repeat(40), sha256, sha512])).not.to.throw()
+      expect(helpers.isValidHash('c'.repeat(38))).to.be.false
+      expect(helpers.isValidHash('c'.repeat(130))).to.be.false
+    })
+    it('should report every invalid hash with its index and reason', () => {
+      let error
+      try {
+        helpers.validateHashes([sha256, 'ab', 'z'.repeat(64), sha256 + 'a', 42, 'c'.repeat(130)])
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).to.be.an('error')
+      expect(error.message).to.have.string('5 invalid hash(es)')
+      expect(error.errors.map(({ index }) => index)).to.eql([1, 2, 3, 4, 5])
+      expect(error.errors[0]).to.eql({
+        index: 1,
+        hash: 'ab',
+        reason: 'must be between 40 and 128 characters, got 2'
+      })
+      expect(error.errors[1].reason).to.equal('must only contain Hexadecimal characters')
+      expect(error.errors[2].reason).to.equal('must have an even number of characters, got 65')
+      expect(error.errors[3].reason).to.equal('must be a String')
+    })
+    it('should require the digest length of a declared algorithm', () => {
+      expect(() => helpers.validateHashes([sha256], { algorithm: 'sha-256' })).not.to.throw()
+      expect(() => helpers.validateHashes([sha512], { algorithm: 'blake2b-512' })).not.to.throw()
+      expect(() => helpers.validateHashes([sha256, sha512], { algorithm: 'sha-256' })).to.throw(
+        '[1] must be 64 characters for sha-256, got 128'
+      )
+      expect(() => helpers.validateHashes([sha256], { algorithm: 'md5' })).to.throw('algorithm must be one of')
+    })
+    it('should still validate the hashes arg is a non-empty Array', () => {
+      expect(() => helpers.validateHashes('not an array')).to.throw('1st arg must be an Array')
+      expect(() => helpers.validateHashes([])).to.throw('non-empty')
+      expect(() => helpers.validateHashes([sha256, sha256], { maxLength: 1 })).to.throw('<= 1 elements')
+    })
+  })
+
+  describe('mapConcurrent', () => {
+    it('should never run more than the limit at once and return results in order', async () => {
+      let running = 0
+      let maxRunning = 0
+      let items = [30, 10, 20, 5, 15]
+      let results = await helpers.mapConcurrent(items, 2, async (item, index) => {
+        running++
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, item))
+        running--
+        return index
+      })
+
+      expect(maxRunning).to.equal(2)
+      expect(results).to.eql([0, 1, 2, 3, 4])
+    })
+
+    it('should not start any more calls once one has rejected', async () => {
+      let calls = []
+      let error
+      try {
+        await helpers.mapConcurrent([1, 2, 3, 4, 5, 6], 2, async item => {
+          calls.push(item)
+          await new Promise(resolve => setTimeout(resolve, 10))
+          if (item === 1) throw new Error('failed')
+          return item
+        })
+      } catch (e) {
+        error = e.message
+      }
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      expect(error).to.equal('failed')
+      expect(calls).to.eql([1, 2])
+    })
+
+    it('should reject an invalid limit', async () => {
+      let invalidLimit
+      try {
+        await helpers.mapConcurrent([1], 0, async item => item)
+      } catch (e) {
+        invalidLimit = true
+      }
+      expect(invalidLimit, 'Should have thrown with a limit < 1').to.be.true
+    })
+  })
+
+  describe('validatePollOptions', () => {
+    it('should apply defaults for the until anchor level', () => {
+      expect(helpers.validatePollOptions({}, 'cal')).to.eql({
+        until: 'cal',
+        interval: 12000,
+        backoff: 1,
+        maxInterval: 10 * 60 * 1000,
+        timeout: 10 * 60 * 1000
+      })
+      expect(helpers.validatePollOptions({ until: 'btc', interval: 5 }, 'cal')).to.include({
+        until: 'btc',
+        interval: 5,
+        timeout: 3 * 60 * 60 * 1000
+      })
+    })
+
+    it('should reject invalid options', () => {
+      expect(() => helpers.validatePollOptions({ until: 'eth' }, 'cal')).to.throw("'cal' or 'btc'")
+      expect(() => helpers.validatePollOptions({ interval: 0 }, 'cal')).to.throw('interval option')
+      expect(() => helpers.validatePollOptions({ backoff: 0.5 }, 'cal')).to.throw('backoff option')
+      expect(() => helpers.validatePollOptions({ maxInterval: -1 }, 'cal')).to.throw('maxInterval option')
+      expect(() => helpers.validatePollOptions({ timeout: 'soon' }, 'cal')).to.throw('timeout option')
+    })
   })
 
   describe('validateUrisArg', () => {
@@ -161,5 +315,35 @@ describe('helpers utilities', () => {
       expect(hash1.toString('hex')).to.equal(hashObjs[0].hash.toString('hex'))
       expect(hash2.toString('hex')).to.equal(hashObjs[1].hash.toString('hex'))
     })
+    it('should report progress to an onProgress callback and an emitter', async () => {
+      let events = []
+      let emitter = new EventEmitter()
+      let fileEvents = []
+      emitter.on('file', event => fileEvents.push(event))
+      await helpers.getFileHashes([file1, file2], { onProgress: event => events.push(event), emitter })
+      let totalSize = content1.length + content2.length
+
+      let progressEvents = events.filter(event => event.type === 'progress')
+      expect(progressEvents).to.have.length.of.at.least(2)
+      expect(progressEvents[0]).to.include({ totalSize, totalFiles: 2 })
+      expect(fileEvents).to.have.lengthOf(2)
+      expect(fileEvents.map(event => event.file)).to.have.members([file1, file2])
+      let last = fileEvents[1]
+      expect(last).to.include({ totalBytesRead: totalSize, totalSize, filesComplete: 2, totalFiles: 2 })
+      expect(last.bytesRead).to.equal(last.size)
+      expect(events.filter(event => event.type === 'file')).to.eql(fileEvents)
+    })
+    it('should reject with an AbortError when hashing is cancelled', async () => {
+      let controller = new AbortController()
+      controller.abort()
+      let error
+      try {
+        await helpers.getFileHashes([file1, file2], { signal: controller.signal })
+      } catch (e) {
+        error = e
+      }
+      expect(error).to.be.an('error')
+      expect(error.name).to.equal('AbortError')
+    })
   })
 })
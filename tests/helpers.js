@@ -6,3 +6,25 @@ export function testArrayArg(fn) {
   expect(emptyArray, 'Did not throw when passed an empty array').to.throw()
   expect(notArray, 'Did not throw when passed a non-array').to.throw()
 }
+
+// Minimal stand-in for a browser File, which is not available in Node.js.
+// Counts the slices that are read so tests can check files are read in chunks.
+export class FakeBlob {
+  constructor(content, { name, lastModified, useFileReader } = {}) {
+    this.buffer = Buffer.from(content)
+    this.size = this.buffer.length
+    this.name = name
+    this.lastModified = lastModified
+    this.slicesRead = 0
+    this.useFileReader = useFileReader
+  }
+
+  slice(start, end) {
+    let bytes = this.buffer.slice(start, end)
+    let slice = { size: bytes.length, bytes }
+    this.slicesRead++
+    if (!this.useFileReader)
+      slice.arrayBuffer = async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+    return slice
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import crypto from 'crypto'
+
+import { merkle } from '../lib/utils'
+import { testArrayArg } from './helpers'
+import hashes from './data/hashes'
+
+const sha256 = (...hexValues) =>
+  crypto
+    .createHash('sha256')
+    .update(Buffer.from(hexValues.join(''), 'hex'))
+    .digest('hex')
+const leaf = hash => sha256('00', hash)
+const node = (left, right) => sha256('01', left, right)
+
+describe('merkle utilities', () => {
+  describe('buildMerkleTree', () => {
+    it('should only accept non-empty array as argument', () => {
+      testArrayArg(merkle.buildMerkleTree)
+    })
+
+    it('should hash pairs of nodes and promote an odd node to the next level', () => {
+      let [a, b, c] = hashes
+      let levels = merkle.buildMerkleTree(hashes)
+
+      expect(levels).to.have.lengthOf(3)
+      expect(merkle.getMerkleRoot(levels)).to.equal(node(node(leaf(a), leaf(b)), leaf(c)))
+    })
+
+    it('should hash the only hash as a leaf for the root of a single leaf tree', () => {
+      let levels = merkle.buildMerkleTree([hashes[0]])
+      expect(merkle.getMerkleRoot(levels)).to.equal(leaf(hashes[0]))
+    })
+
+    it('should not give a parent the same root as a tree with its children as leaves', () => {
+      let [a, b] = hashes
+      let parent = merkle.getMerkleRoot(merkle.buildMerkleTree([a, b]))
+      let children = merkle.buildMerkleTree([a, b])[0].map(child => child.toString('hex'))
+
+      expect(merkle.getMerkleRoot(merkle.buildMerkleTree(children))).not.to.equal(parent)
+      expect(merkle.getMerkleRoot(merkle.buildMerkleTree([parent]))).not.to.equal(parent)
+    })
+  })
+
+  describe('getMerklePathOps', () => {
+    it('should return the ops that lead from each leaf to the root', () => {
+      let [a, b, c] = hashes
+      let levels = merkle.buildMerkleTree(hashes)
+
+      let hashLeaf = [{ l: '00' }, { op: 'sha-256' }]
+      let hashNode = [{ l: '01' }, { op: 'sha-256' }]
+
+      expect(merkle.getMerklePathOps(levels, 0)).to.eql([
+        ...hashLeaf,
+        { r: leaf(b) },
+        ...hashNode,
+        { r: leaf(c) },
+        ...hashNode
+      ])
+      expect(merkle.getMerklePathOps(levels, 1)).to.eql([
+        ...hashLeaf,
+        { l: leaf(a) },
+        ...hashNode,
+        { r: leaf(c) },
+        ...hashNode
+      ])
+      // the promoted leaf is only hashed at the level where it has a sibling
+      expect(merkle.getMerklePathOps(levels, 2)).to.eql([...hashLeaf, { l: node(leaf(a), leaf(b)) }, ...hashNode])
+    })
+  })
+})
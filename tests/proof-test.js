@@ -15,7 +15,11 @@ import sinon from 'sinon'
 
 import submitHashes from './data/submit-hashes.json'
 import proofs from './data/proofs.json'
+import btcProof from './data/btc-proof.json'
 import chp from 'chainpoint-binary'
+import uuidv1 from 'uuid/v1'
+import crypto from 'crypto'
+import { cloneDeep } from 'lodash'
 
 import {
   isValidProofHandle,
@@ -23,9 +27,16 @@ import {
   parseProofs,
   flattenProofBranches,
   flattenProofs,
-  // flattenBtcBranches,
-  normalizeProofs
+  flattenBtcBranches,
+  getBtcTxs,
+  applyProofOp,
+  normalizeProofs,
+  getProofIdTime,
+  getProofTime,
+  getProofExpiry,
+  hasAnchor
 } from '../lib/utils/proofs'
+import { getProofTxs } from '../index'
 import { testArrayArg } from './helpers'
 
 describe('proof utilities', () => {
@@ -59,6 +70,55 @@ describe('proof utilities', () => {
     })
   })
 
+  describe('getProofIdTime', () => {
+    it('should get the time a proof ID was created', () => {
+      let time = Date.UTC(2019, 4, 2, 20, 59, 8, 804)
+      expect(getProofIdTime('21156440-6d1d-11e9-a653-01ef1ab22ee7')).to.equal(time)
+      expect(getProofIdTime(uuidv1({ msecs: time }))).to.equal(time)
+    })
+  })
+
+  describe('getProofTime', () => {
+    it('should get the time from a proof ID, handle or proof', () => {
+      let time = Date.UTC(2019, 4, 2, 20, 59, 8, 804)
+      let proofId = uuidv1({ msecs: time })
+      expect(getProofTime(proofId)).to.equal(time)
+      expect(getProofTime({ uri: 'http://35.212.136.230', proofId })).to.equal(time)
+      expect(getProofTime({ proofId, proof: null, anchorsComplete: [] })).to.equal(time)
+
+      // the Node accepted the hash when the proof ID was created
+      let received = Date.parse(btcProof.hash_received)
+      expect(getProofTime(btcProof)).to.be.within(received, received + 1000)
+      expect(getProofTime(chp.objectToBase64Sync(btcProof))).to.equal(getProofTime(btcProof))
+    })
+
+    it('should reject anything without a Version 1 UUID proof ID', () => {
+      expect(() => getProofTime({ proofId: 'not-a-uuid' })).to.throw('Version 1 UUID')
+      expect(() => getProofTime('not a proof')).to.throw('unknown proof format')
+    })
+  })
+
+  describe('getProofExpiry', () => {
+    it('should report the time remaining before a proof expires', () => {
+      let now = Date.now()
+      let hour = 60 * 60 * 1000
+      let expiry = getProofExpiry(uuidv1({ msecs: now - hour }), now)
+      expect(expiry).to.eql({ createdAt: now - hour, expiresAt: now + 23 * hour, expiresIn: 23 * hour, expired: false })
+
+      expiry = getProofExpiry(uuidv1({ msecs: now - 25 * hour }), now)
+      expect(expiry).to.include({ expiresIn: 0, expired: true })
+    })
+  })
+
+  describe('hasAnchor', () => {
+    it('should check for mainnet and testnet anchors', () => {
+      expect(hasAnchor(['cal', 'btc'], 'btc')).to.be.true
+      expect(hasAnchor(['tcal'], 'cal')).to.be.true
+      expect(hasAnchor(['cal'], 'btc')).to.be.false
+      expect(hasAnchor([], 'cal')).to.be.false
+    })
+  })
+
   describe('parseProofs', () => {
     it('should only accept non-empty array as argument', () => {
       testArrayArg(parseProofs)
@@ -184,7 +244,101 @@ describe('proof utilities', () => {
     })
   })
 
+  describe('applyProofOp', () => {
+    it('should concatenate and hash values', () => {
+      let value = Buffer.from('ab', 'hex')
+
+      expect(applyProofOp(value, { l: 'cd' }).toString('hex')).to.equal('cdab')
+      expect(applyProofOp(value, { r: 'cd' }).toString('hex')).to.equal('abcd')
+      expect(applyProofOp(value, { r: 'nist:1' }).toString('hex')).to.equal(
+        'ab' + Buffer.from('nist:1').toString('hex')
+      )
+      expect(applyProofOp(value, { op: 'sha-256' }).toString('hex')).to.equal(
+        crypto
+          .createHash('sha256')
+          .update(value)
+          .digest('hex')
+      )
+      expect(applyProofOp(value, { anchors: [] })).to.equal(value)
+      expect(() => applyProofOp(value, { op: 'md5' })).to.throw('unknown op md5')
+    })
+  })
+
   describe('flattenBtcBranches', () => {
-    it('should return an array of objects with hash_id_node and raw btc tx')
+    it('should return the raw transaction and btc anchor of parsed proofs', () => {
+      let [parsedProof] = parseProofs([btcProof])
+
+      expect(flattenBtcBranches([parsedProof])).to.eql([
+        {
+          proof_id: btcProof.proof_id,
+          raw_btc_tx: parsedProof.branches[0].branches[0].rawTx,
+          expected_value: '01802a290ca1d97b4d633ae615fabd9bbec41e096dc7c196b98f1572337a6620',
+          anchor_id: '503275'
+        }
+      ])
+    })
+
+    it('should return only the proof_id of parsed proofs not anchored to Bitcoin', () => {
+      let calProof = cloneDeep(btcProof)
+      calProof.branches[0].branches[0].label = 'other_anchor_branch'
+      calProof.branches[0].branches[0].ops = [{ op: 'sha-256' }]
+
+      expect(flattenBtcBranches(parseProofs([calProof]))).to.eql([{ proof_id: btcProof.proof_id }])
+    })
+  })
+
+  describe('getBtcTxs', () => {
+    it('should return the Bitcoin transaction a proof is anchored with', () => {
+      let [btcTx] = getBtcTxs([btcProof])
+      let rawTx = btcTx.raw_btc_tx
+
+      expect(btcTx).to.include({
+        proof_id: btcProof.proof_id,
+        status: 'btc_anchored',
+        type: 'btc',
+        anchor_id: '503275',
+        block_height: 503275,
+        expected_value: '01802a290ca1d97b4d633ae615fabd9bbec41e096dc7c196b98f1572337a6620'
+      })
+      // the txid is the double SHA-256 of the raw transaction in reverse byte order
+      let txHash = crypto
+        .createHash('sha256')
+        .update(
+          crypto
+            .createHash('sha256')
+            .update(Buffer.from(rawTx, 'hex'))
+            .digest()
+        )
+        .digest()
+      expect(btcTx.btc_tx_id).to.equal(txHash.reverse().toString('hex'))
+      // the transaction contains the OP_RETURN value, which is the calendar root
+      expect(btcTx.op_return_value).to.have.lengthOf(64)
+      expect(rawTx).to.have.string(`6a20${btcTx.op_return_value}`)
+      expect(btcTx.tx_merkle_ops).to.have.lengthOf(22)
+      expect(btcTx.tx_merkle_ops.every(op => op.l || op.r || op.op === 'sha-256-x2')).to.be.true
+    })
+
+    it('should give calendar only proofs the no_btc_anchor status', () => {
+      let calProof = cloneDeep(btcProof)
+      delete calProof.branches[0].branches
+      let otherProof = cloneDeep(btcProof)
+      otherProof.branches[0].branches[0].label = 'other_anchor_branch'
+      otherProof.branches[0].branches[0].ops = [{ op: 'sha-256' }]
+
+      expect(getBtcTxs([calProof, otherProof])).to.eql([
+        { proof_id: btcProof.proof_id, status: 'no_btc_anchor' },
+        { proof_id: btcProof.proof_id, status: 'no_btc_anchor' }
+      ])
+    })
+
+    it('should get the transactions of proofs in any format', () => {
+      let calProof = cloneDeep(btcProof)
+      delete calProof.branches[0].branches
+
+      let btcTxs = getProofTxs([chp.objectToBase64Sync(btcProof), JSON.stringify(calProof)])
+
+      expect(btcTxs.map(btcTx => btcTx.status)).to.eql(['btc_anchored', 'no_btc_anchor'])
+      expect(btcTxs[0]).to.eql(getBtcTxs([btcProof])[0])
+    })
   })
 })
@@ -0,0 +1,459 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+
+import { cloneDeep } from 'lodash'
+
+import {
+  verifyProofs,
+  evaluateProofs,
+  convertProof,
+  createNodeResolver,
+  createBitcoinResolver,
+  createQuorumResolver
+} from '../index'
+import { network } from '../lib/utils'
+import { getMerkleRoot } from '../lib/resolvers'
+import btcProof from './data/btc-proof.json'
+import nodes from './data/nodes'
+
+// The header of the Bitcoin genesis block, and its merkle root in displayed byte order
+const GENESIS_HEADER =
+  '0100000000000000000000000000000000000000000000000000000000000000000000003ba3edfd7a7b12b27ac72c3e67768f617fc81bc3888a51323a9fb8aa4b1e5e4a29ab5f49ffff001d1dac2b7c'
+const GENESIS_MERKLE_ROOT = '4a5e1e4baab89f3a32518a88c31bc87f618f76673e2cc77ab2127b7afdeda33b'
+
+describe('anchor resolvers', () => {
+  let calAnchor, btcAnchor
+
+  before(() => {
+    ;[calAnchor, btcAnchor] = evaluateProofs([btcProof])
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    sinon.restore()
+  })
+
+  describe('createNodeResolver', () => {
+    it('should reject invalid Node URIs', () => {
+      expect(() => createNodeResolver({ foo: 'bar' })).to.throw('uri arg must be a String')
+      expect(() => createNodeResolver('foo://bar')).to.throw('invalid Node URI')
+    })
+
+    it('should look anchors up from the Node, requesting each calendar URI once', async () => {
+      let requests = 0
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(200, () => {
+          requests++
+          return [calAnchor.expected_value]
+        })
+      let resolver = createNodeResolver(nodes[0])
+
+      let values = await Promise.all([resolver.resolve(calAnchor), resolver.resolve(calAnchor)])
+
+      let found = { value: calAnchor.expected_value, source: nodes[0], uri: `${nodes[0]}/calendar/985635/hash` }
+      expect(values).to.eql([found, found])
+      expect(requests).to.equal(1)
+    })
+
+    it('should resolve null when the Node has no value', async () => {
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(200)
+
+      expect(await createNodeResolver(nodes[0]).resolve(calAnchor)).to.eql({
+        value: null,
+        source: nodes[0],
+        uri: `${nodes[0]}/calendar/985635/hash`
+      })
+    })
+
+    it('should resolve null when the Node does not have the calendar entry', async () => {
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(404, { code: 'NotFound', message: 'calendar entry not found' })
+
+      expect(await createNodeResolver(nodes[0]).resolve(calAnchor)).to.eql({
+        value: null,
+        source: nodes[0],
+        uri: `${nodes[0]}/calendar/985635/hash`
+      })
+    })
+
+    it('should request a calendar URI again after the Node had no value for it', async () => {
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(404, { code: 'NotFound', message: 'calendar entry not found' })
+        .get('/calendar/985635/hash')
+        .reply(200, [calAnchor.expected_value])
+      let resolver = createNodeResolver(nodes[0])
+
+      expect((await resolver.resolve(calAnchor)).value).to.be.null
+      expect((await resolver.resolve(calAnchor)).value).to.equal(calAnchor.expected_value)
+      expect(nock.isDone()).to.be.true
+    })
+
+    it('should reject when the Node fails or returns an invalid value', async () => {
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(500, { code: 'InternalError', message: 'database unavailable' })
+        .get('/calendar/985635/hash')
+        .reply(200, [{ hash: calAnchor.expected_value }])
+      let resolver = createNodeResolver(nodes[0])
+
+      let errors = []
+      for (let i = 0; i < 2; i++) {
+        try {
+          await resolver.resolve(calAnchor)
+        } catch (e) {
+          errors.push(e.message)
+        }
+      }
+      expect(errors).to.eql([
+        'database unavailable',
+        `Node ${nodes[0]} returned an invalid value for /calendar/985635/hash`
+      ])
+
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(500, { code: 'InternalError', message: 'database unavailable' })
+        .get('/calendar/985814/data')
+        .reply(404, { code: 'NotFound', message: 'calendar entry not found' })
+      let results = await verifyProofs([btcProof], null, { resolvers: [resolver] })
+      expect(results.map(result => result.status)).to.eql(['lookup_error', 'anchor_unavailable'])
+    })
+  })
+
+  describe('createBitcoinResolver', () => {
+    it('should require a header source', () => {
+      expect(() => createBitcoinResolver()).to.throw('getBlockHeader method')
+      expect(() => createBitcoinResolver({})).to.throw('getBlockHeader method')
+    })
+
+    it('should resolve btc anchors to the merkle root of the block at anchor_id', async () => {
+      let headerSource = { getBlockHeader: sinon.fake.resolves({ merkleroot: btcAnchor.expected_value }) }
+      let resolver = createBitcoinResolver(headerSource)
+
+      expect(resolver.types).to.eql(['btc', 'tbtc'])
+      expect(await resolver.resolve(btcAnchor)).to.equal(btcAnchor.expected_value)
+      expect(await resolver.resolve(btcAnchor)).to.equal(btcAnchor.expected_value)
+      expect(headerSource.getBlockHeader.calledOnceWith(503275)).to.be.true
+    })
+
+    it('should request a header again after it failed', async () => {
+      let getBlockHeader = sinon.stub()
+      getBlockHeader.onFirstCall().rejects(new Error('connection refused'))
+      getBlockHeader.onSecondCall().resolves({ merkle_root: btcAnchor.expected_value })
+      let resolver = createBitcoinResolver({ getBlockHeader })
+
+      let error
+      try {
+        await resolver.resolve(btcAnchor)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.equal('connection refused')
+      expect(await resolver.resolve(btcAnchor)).to.equal(btcAnchor.expected_value)
+    })
+
+    it('should request a header again after the header source did not have it', async () => {
+      let getBlockHeader = sinon.stub()
+      getBlockHeader.onFirstCall().resolves(null)
+      getBlockHeader.onSecondCall().resolves({ merkle_root: btcAnchor.expected_value })
+      let resolver = createBitcoinResolver({ getBlockHeader })
+
+      expect(await resolver.resolve(btcAnchor)).to.be.null
+      expect(await resolver.resolve(btcAnchor)).to.equal(btcAnchor.expected_value)
+      expect(getBlockHeader.calledTwice).to.be.true
+    })
+  })
+
+  describe('createQuorumResolver', () => {
+    let quorumNodes
+
+    // mock each Node to answer with a value for the cal anchor, or fail when the value is an Error
+    function answer(values) {
+      quorumNodes.forEach((uri, i) => {
+        let scope = nock(uri).get('/calendar/985635/hash')
+        if (values[i] instanceof Error) scope.replyWithError(values[i].message)
+        else scope.reply(200, values[i] ? [values[i]] : undefined)
+      })
+    }
+
+    beforeEach(() => {
+      quorumNodes = [...nodes, 'http://35.196.109.50']
+    })
+
+    it('should reject invalid options', () => {
+      expect(() => createQuorumResolver({ nodes: ['foo://bar'] })).to.throw('valid Node URIs')
+      expect(() => createQuorumResolver({ nodes: 0 })).to.throw('nodes option')
+      expect(() => createQuorumResolver({ nodes: quorumNodes, required: 4 })).to.throw('between 1 and 3')
+    })
+
+    it('should confirm the expected value when enough Nodes agree', async () => {
+      answer([calAnchor.expected_value, 'ab'.repeat(32), calAnchor.expected_value])
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes }).resolve(calAnchor)
+
+      expect(value).to.equal(calAnchor.expected_value)
+      expect(quorum).to.include({ required: 2 })
+      expect(quorum.agreed).to.eql([quorumNodes[0], quorumNodes[2]])
+      expect(quorum.disagreed).to.eql([quorumNodes[1]])
+      expect(quorum.answers[1]).to.eql({ uri: quorumNodes[1], value: 'ab'.repeat(32) })
+    })
+
+    it('should use the most common other value without a quorum', async () => {
+      answer([calAnchor.expected_value, 'ab'.repeat(32), 'ab'.repeat(32)])
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes }).resolve(calAnchor)
+
+      expect(value).to.equal('ab'.repeat(32))
+      expect(quorum.agreed).to.eql([quorumNodes[0]])
+    })
+
+    it('should not use another value that too few Nodes returned', async () => {
+      answer([calAnchor.expected_value, 'ab'.repeat(32), new Error('connection refused')])
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes, required: 2 }).resolve(calAnchor)
+
+      expect(value).to.be.null
+      expect(quorum.agreed).to.eql([quorumNodes[0]])
+      expect(quorum.disagreed).to.eql([quorumNodes[1]])
+      expect(quorum.failed).to.eql([quorumNodes[2]])
+    })
+
+    it('should not confirm a value that too few Nodes returned', async () => {
+      answer([calAnchor.expected_value, new Error('connection refused'), null])
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes, required: 2 }).resolve(calAnchor)
+
+      expect(value).to.be.null
+      expect(quorum.disagreed).to.be.empty
+      expect(quorum.failed).to.eql([quorumNodes[1], quorumNodes[2]])
+      expect(quorum.answers[1].error.message).to.have.string('connection refused')
+    })
+
+    it('should not count Nodes without the value as disagreeing', async () => {
+      nock(quorumNodes[0])
+        .get('/calendar/985635/hash')
+        .reply(404, { code: 'NotFound', message: 'calendar entry not found' })
+      nock(quorumNodes[1])
+        .get('/calendar/985635/hash')
+        .reply(500, { code: 'InternalError', message: 'database unavailable' })
+      nock(quorumNodes[2])
+        .get('/calendar/985635/hash')
+        .reply(200, [calAnchor.expected_value])
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes, required: 1 }).resolve(calAnchor)
+
+      expect(value).to.equal(calAnchor.expected_value)
+      expect(quorum.agreed).to.eql([quorumNodes[2]])
+      expect(quorum.disagreed).to.be.empty
+      expect(quorum.failed).to.eql([quorumNodes[0], quorumNodes[1]])
+      expect(quorum.answers[0]).to.eql({ uri: quorumNodes[0], value: null })
+      expect(quorum.answers[1].error.message).to.equal('database unavailable')
+    })
+
+    it('should confirm the expected value when one Node has no value and the others agree', async () => {
+      nock(quorumNodes[0])
+        .get('/calendar/985635/hash')
+        .reply(404, { code: 'NotFound', message: 'calendar entry not found' })
+      quorumNodes.slice(1).forEach(uri =>
+        nock(uri)
+          .get('/calendar/985635/hash')
+          .reply(200, [calAnchor.expected_value])
+      )
+
+      let { value, quorum } = await createQuorumResolver({ nodes: quorumNodes }).resolve(calAnchor)
+
+      expect(value).to.equal(calAnchor.expected_value)
+      expect(quorum.agreed).to.eql(quorumNodes.slice(1))
+      expect(quorum.failed).to.eql([quorumNodes[0]])
+    })
+
+    it('should reject when every Node fails', async () => {
+      answer(quorumNodes.map(() => new Error('connection refused')))
+
+      let error
+      try {
+        await createQuorumResolver({ nodes: quorumNodes }).resolve(calAnchor)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('connection refused')
+    })
+
+    it('should discover Nodes and require enough of them for a quorum', async () => {
+      sinon.stub(network, 'getNodes').callsFake(async () => nodes)
+      answer([calAnchor.expected_value, calAnchor.expected_value])
+
+      let { value } = await createQuorumResolver({ nodes: 3, required: 2 }).resolve(calAnchor)
+      expect(value).to.equal(calAnchor.expected_value)
+      expect(network.getNodes.calledWith(3)).to.be.true
+
+      let error
+      try {
+        await createQuorumResolver({ nodes: 3, required: 3 }).resolve(calAnchor)
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.equal('Found 2 Nodes, a quorum of 3 is required')
+    })
+  })
+
+  describe('getMerkleRoot', () => {
+    it('should read the merkle root from raw, bitcoind and Esplora headers', () => {
+      expect(getMerkleRoot(GENESIS_HEADER, 0)).to.equal(GENESIS_MERKLE_ROOT)
+      expect(getMerkleRoot({ merkleroot: GENESIS_MERKLE_ROOT.toUpperCase() }, 0)).to.equal(GENESIS_MERKLE_ROOT)
+      expect(getMerkleRoot({ merkle_root: GENESIS_MERKLE_ROOT }, 0)).to.equal(GENESIS_MERKLE_ROOT)
+      expect(getMerkleRoot(null, 0)).to.be.null
+    })
+
+    it('should reject headers without a valid merkle root', () => {
+      expect(() => getMerkleRoot('abcd', 7)).to.throw('height 7')
+      expect(() => getMerkleRoot({ merkleroot: 'xyz' }, 7)).to.throw('valid merkle root')
+    })
+  })
+
+  describe('verifyProofs with resolvers', () => {
+    let headerSource
+
+    beforeEach(() => {
+      headerSource = { getBlockHeader: async () => ({ merkleroot: btcAnchor.expected_value }) }
+      nock(nodes[0])
+        .get('/calendar/985635/hash')
+        .reply(200, [calAnchor.expected_value])
+    })
+
+    it('should verify each anchor with the first resolver for its type', async () => {
+      let results = await verifyProofs([btcProof], null, {
+        resolvers: [createBitcoinResolver(headerSource), createNodeResolver(nodes[0])]
+      })
+
+      expect(results.map(result => [result.type, result.status])).to.eql([['cal', 'verified'], ['btc', 'verified']])
+      expect(results.map(result => result.source)).to.eql([nodes[0], 'bitcoin'])
+      expect(results.map(result => result.uri)).to.eql([`${nodes[0]}/calendar/985635/hash`, btcAnchor.uri])
+      // the btc anchor is not looked up from the Node
+      expect(nock.pendingMocks()).to.be.empty
+    })
+
+    it('should not verify an anchor that does not match its resolved value', async () => {
+      headerSource.getBlockHeader = async () => GENESIS_HEADER
+      let results = await verifyProofs([btcProof], null, {
+        resolvers: [createBitcoinResolver(headerSource), createNodeResolver(nodes[0])]
+      })
+
+      expect(results[1]).to.include({ type: 'btc', status: 'mismatch', verified: false, verifiedAt: null })
+      expect(results[0].verified).to.be.true
+    })
+
+    it('should not verify anchors without a resolver for their type', async () => {
+      let results = await verifyProofs([btcProof], null, { resolvers: [createBitcoinResolver(headerSource)] })
+
+      expect(results.map(result => [result.type, result.verified])).to.eql([['cal', false], ['btc', true]])
+      expect(results[0].status).to.equal('lookup_error')
+      expect(results[0].error.message).to.equal('No resolver supports cal anchors')
+    })
+
+    it('should report a status for every anchor without throwing', async () => {
+      let resolve = async anchor => {
+        if (anchor.type === 'cal') throw new Error('connection refused')
+        return null
+      }
+      let results = await verifyProofs([btcProof], null, { resolvers: [{ resolve }] })
+
+      expect(results.map(result => result.status)).to.eql(['lookup_error', 'anchor_unavailable'])
+      expect(results[0].error.message).to.equal('connection refused')
+      expect(results[1].error.message).to.equal('No value was found for btc anchor 503275')
+
+      results = await verifyProofs([btcProof], null, { resolvers: [{ resolve: async () => 'ab'.repeat(32) }] })
+      expect(results.map(result => result.status)).to.eql(['mismatch', 'mismatch'])
+      results.forEach(result => expect(result.error).to.be.undefined)
+    })
+
+    it('should look each anchor up once by its type, anchor_id and uri', async () => {
+      // an anchor of another type with the same anchor_id as the cal anchor
+      let tbtcProof = cloneDeep(btcProof)
+      let btcAnchorOp = tbtcProof.branches[0].branches[0].ops.find(op => op.anchors)
+      btcAnchorOp.anchors[0] = { ...btcAnchorOp.anchors[0], type: 'tbtc', anchor_id: calAnchor.anchor_id }
+
+      let resolve = sinon.fake(async anchor => ({ value: anchor.expected_value, source: anchor.type }))
+      let results = await verifyProofs([btcProof, convertProof(btcProof, 'base64'), tbtcProof], null, {
+        resolvers: [{ resolve }]
+      })
+
+      expect(results.map(result => [result.type, result.anchorId, result.status, result.source])).to.eql([
+        ['cal', calAnchor.anchor_id, 'verified', 'cal'],
+        ['btc', btcAnchor.anchor_id, 'verified', 'btc'],
+        ['tbtc', calAnchor.anchor_id, 'verified', 'tbtc']
+      ])
+      expect(resolve.callCount).to.equal(3)
+    })
+
+    it('should look every anchor up from the Node by default', async () => {
+      nock(nodes[0])
+        .get('/calendar/985814/data')
+        .reply(200, [btcAnchor.expected_value])
+
+      let results = await verifyProofs([btcProof], nodes[0])
+
+      expect(results.map(result => result.verified)).to.eql([true, true])
+      // the uri of each anchor is where it was requested from on the Node, as it was before resolvers
+      expect(results.map(result => result.uri)).to.eql([
+        `${nodes[0]}/calendar/985635/hash`,
+        `${nodes[0]}/calendar/985814/data`
+      ])
+      expect(nock.isDone()).to.be.true
+    })
+
+    it('should verify with a quorum of Nodes', async () => {
+      nock.cleanAll()
+      nodes.forEach(uri =>
+        nock(uri)
+          .get('/calendar/985635/hash')
+          .reply(200, [calAnchor.expected_value])
+          .get('/calendar/985814/data')
+          .reply(200, [uri === nodes[0] ? btcAnchor.expected_value : 'ab'.repeat(32)])
+      )
+
+      let results = await verifyProofs([btcProof], null, { quorum: { nodes, required: 2 } })
+
+      expect(results.map(result => result.verified)).to.eql([true, false])
+      expect(results[0].source).to.equal('quorum')
+      expect(results[0].quorum.agreed).to.eql(nodes)
+      expect(results[1].quorum.agreed).to.eql([nodes[0]])
+      expect(results[1].quorum.disagreed).to.eql([nodes[1]])
+
+      let error
+      try {
+        await verifyProofs([btcProof], nodes[0], { quorum: { nodes } })
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('quorum option cannot be used')
+    })
+
+    it('should reject invalid resolvers', async () => {
+      let error
+      try {
+        await verifyProofs([btcProof], null, { resolvers: [{ types: ['btc'] }] })
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('resolvers option')
+    })
+  })
+})
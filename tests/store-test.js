@@ -0,0 +1,250 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import path from 'path'
+import fs from 'bfile'
+import uuidv1 from 'uuid/v1'
+
+import { createProofStore, createMemoryAdapter, createFileAdapter } from '../index'
+import nodes from './data/nodes'
+
+describe('ProofStore', () => {
+  let handles
+
+  beforeEach(() => {
+    handles = [
+      { uri: nodes[0], hash: 'a'.repeat(64), proofId: uuidv1(), groupId: uuidv1() },
+      { uri: nodes[1], hash: 'b'.repeat(64), proofId: uuidv1(), groupId: uuidv1() }
+    ]
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('should reject invalid arguments', async () => {
+    expect(() => createProofStore({ get: () => {} })).to.throw('get, put, remove, list')
+    expect(() => createProofStore(createMemoryAdapter(), { until: 'eth' })).to.throw("'cal' or 'btc'")
+    expect(() => createFileAdapter('')).to.throw('filePath arg')
+
+    let store = createProofStore()
+    let badHandles, badStatus
+    try {
+      await store.addHandles([{ foo: 'bar' }])
+    } catch (e) {
+      badHandles = e.message
+    }
+    expect(badHandles).to.have.string('invalid Objects')
+
+    try {
+      await store.list('lost')
+    } catch (e) {
+      badStatus = e.message
+    }
+    expect(badStatus).to.have.string('status arg')
+  })
+
+  it('should add handles as pending entries once', async () => {
+    let store = createProofStore()
+    let entries = await store.addHandles(handles)
+
+    expect(entries.map(entry => entry.handle)).to.eql(handles)
+    entries.forEach(entry => expect(entry).to.include({ proof: null, status: 'pending' }))
+    expect(entries[0].expiresAt).to.be.above(Date.now() + 23 * 60 * 60 * 1000)
+
+    await store.updateProofs([{ proofId: handles[0].proofId, proof: 'proof', anchorsComplete: ['cal'], status: 'ok' }])
+    await store.addHandles(handles)
+    expect((await store.get(handles[0].proofId)).proof).to.include({ proof: 'proof' })
+    expect(await store.list()).to.have.lengthOf(2)
+  })
+
+  it('should keep the most complete proof and update the status', async () => {
+    let store = createProofStore()
+    await store.addHandles(handles)
+    let [first, second] = handles.map(handle => handle.proofId)
+
+    await store.updateProofs([
+      { proofId: first, proof: 'proof cal', anchorsComplete: ['cal'], status: 'ok' },
+      { proofId: second, proof: null, anchorsComplete: [], status: 'not_found' }
+    ])
+    expect((await store.list('pending')).map(entry => entry.handle)).to.eql([handles[0]])
+    expect((await store.list('expired')).map(entry => entry.handle)).to.eql([handles[1]])
+
+    let [updated, unknown] = await store.updateProofs([
+      { proofId: first, proof: 'proof btc', anchorsComplete: ['cal', 'btc'], status: 'ok' },
+      { proofId: uuidv1(), proof: 'proof', anchorsComplete: ['cal'], status: 'ok' }
+    ])
+    expect(updated.status).to.equal('complete')
+    expect(unknown).to.be.null
+
+    // a later, less complete result does not replace the proof
+    await store.updateProofs([{ proofId: first, proof: 'proof cal', anchorsComplete: ['cal'], status: 'ok' }])
+    let entry = await store.get(first)
+    expect(entry.proof).to.eql({ proofId: first, proof: 'proof btc', anchorsComplete: ['cal', 'btc'] })
+    expect(entry.status).to.equal('complete')
+  })
+
+  it('should expire pending entries older than the retention period', async () => {
+    let store = createProofStore()
+    let oldHandle = { ...handles[0], proofId: uuidv1({ msecs: Date.now() - 25 * 60 * 60 * 1000 }) }
+    await store.addHandles([oldHandle, handles[1]])
+
+    expect((await store.list('expired')).map(entry => entry.handle)).to.eql([oldHandle])
+    expect((await store.get(oldHandle.proofId)).status).to.equal('expired')
+  })
+
+  it('should complete at the until anchor level', async () => {
+    let store = createProofStore(createMemoryAdapter(), { until: 'cal' })
+    await store.addHandles(handles)
+    await store.updateProofs([{ proofId: handles[0].proofId, proof: 'proof', anchorsComplete: ['tcal'], status: 'ok' }])
+
+    expect((await store.list('complete')).map(entry => entry.handle)).to.eql([handles[0]])
+  })
+
+  it('should remove entries', async () => {
+    let store = createProofStore()
+    await store.addHandles(handles)
+    await store.remove([handles[0].proofId])
+
+    expect(await store.get(handles[0].proofId)).to.be.undefined
+    expect((await store.list()).map(entry => entry.handle)).to.eql([handles[1]])
+  })
+
+  it('should not save changes to returned entries until they are put', async () => {
+    let store = createProofStore()
+    let [entry] = await store.addHandles([handles[0]])
+    entry.status = 'complete'
+
+    expect((await store.get(handles[0].proofId)).status).to.equal('pending')
+  })
+
+  describe('resume', () => {
+    let anchors
+
+    beforeEach(() => {
+      // anchors_complete returned by the mocked Nodes for each poll, by proofId.
+      // null means the Node no longer has the proof.
+      anchors = {}
+      nodes.forEach(uri =>
+        nock(uri)
+          .persist()
+          .get('/proofs')
+          .reply(200, function() {
+            return String(this.req.headers.hashids)
+              .split(',')
+              .map(proofId => {
+                let polls = anchors[proofId] || []
+                let anchorsComplete = polls.length > 1 ? polls.shift() : polls[0]
+                return {
+                  proof_id: proofId,
+                  proof: anchorsComplete && anchorsComplete.length ? `proof ${anchorsComplete.join(',')}` : null,
+                  anchors_complete: anchorsComplete || []
+                }
+              })
+          })
+      )
+    })
+
+    it('should poll for pending entries and update the store', async () => {
+      let store = createProofStore()
+      let [first, second] = handles.map(handle => handle.proofId)
+      let completed = { uri: nodes[0], proofId: uuidv1() }
+      await store.addHandles([...handles, completed])
+      await store.updateProofs([{ proofId: completed.proofId, proof: 'proof', anchorsComplete: ['cal', 'btc'] }])
+      anchors[first] = [[], ['cal'], ['cal', 'btc']]
+      anchors[second] = [['cal'], null]
+
+      let events = []
+      let resumed = await store.resume({ interval: 5, onEvent: event => events.push(event) })
+
+      expect(resumed.complete.map(entry => entry.handle)).to.eql([handles[0]])
+      expect(resumed.expired.map(entry => entry.handle)).to.eql([handles[1]])
+      expect(resumed.pending).to.be.empty
+      expect((await store.get(first)).proof.proof).to.equal('proof cal,btc')
+      expect((await store.get(second)).proof.proof).to.equal('proof cal')
+      // entries that were already complete are not polled for
+      expect(events.filter(event => event.handle === completed)).to.be.empty
+    })
+
+    it('should leave entries pending on timeout', async () => {
+      let store = createProofStore()
+      await store.addHandles(handles)
+      anchors[handles[0].proofId] = [['cal', 'btc']]
+
+      let resumed = await store.resume({ interval: 5, timeout: 30 })
+
+      expect(resumed.complete.map(entry => entry.handle)).to.eql([handles[0]])
+      expect(resumed.pending.map(entry => entry.handle)).to.eql([handles[1]])
+      expect(await store.list('pending')).to.have.lengthOf(1)
+    })
+
+    it('should resolve straight away with nothing pending', async () => {
+      let resumed = await createProofStore().resume()
+
+      expect(resumed).to.eql({ pending: [], complete: [], expired: [] })
+    })
+  })
+
+  describe('createFileAdapter', () => {
+    let testPath, filePath
+
+    before(async () => {
+      testPath = '/tmp/chainpoint_store_test'
+      await fs.mkdirp(testPath)
+    })
+
+    beforeEach(() => {
+      filePath = path.resolve(testPath, `${uuidv1()}.json`)
+    })
+
+    after(async () => {
+      await fs.remove(testPath)
+    })
+
+    it('should keep entries across restarts', async () => {
+      let store = createProofStore(createFileAdapter(filePath))
+      await store.addHandles(handles)
+      await store.updateProofs([{ proofId: handles[0].proofId, proof: 'proof', anchorsComplete: ['cal', 'btc'] }])
+
+      let restarted = createProofStore(createFileAdapter(filePath))
+      expect((await restarted.list('complete')).map(entry => entry.handle)).to.eql([handles[0]])
+      expect((await restarted.list('pending')).map(entry => entry.handle)).to.eql([handles[1]])
+      expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')))).to.have.members(
+        handles.map(handle => handle.proofId)
+      )
+    })
+
+    it('should save removed entries', async () => {
+      let store = createProofStore(createFileAdapter(filePath))
+      await store.addHandles(handles)
+      await store.remove([handles[1].proofId, uuidv1()])
+
+      let restarted = createProofStore(createFileAdapter(filePath))
+      expect((await restarted.list()).map(entry => entry.handle)).to.eql([handles[0]])
+    })
+
+    it('should start empty without a file and reject a file that is not a store', async () => {
+      expect(await createFileAdapter(filePath).list()).to.be.empty
+
+      fs.writeFileSync(filePath, '[]')
+      let error
+      try {
+        await createFileAdapter(filePath).list()
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('not a ProofStore file')
+    })
+  })
+})
@@ -14,9 +14,10 @@
 import { expect } from 'chai'
 import nock from 'nock'
 import sinon from 'sinon'
-import { isEqual } from 'lodash'
+import { isEqual, range, uniq } from 'lodash'
+import uuidv1 from 'uuid/v1'
 
-import submitHashes from '../lib/submit'
+import submitHashes, { submitHashesSettled } from '../lib/submit'
 import { network, proofs } from '../lib/utils'
 import submitHashesResp from './data/submit-hashes'
 import hashes from './data/hashes'
@@ -69,6 +70,19 @@ describe('submitHashes', () => {
     expect(notHex, 'Should have thrown with a non-array arg').to.be.true
   })
 
+  it('should report every invalid hash before contacting any Node', async () => {
+    let error
+    try {
+      await submitHashes(['ab', 'a'.repeat(64), 'a'.repeat(64) + 'ff'], nodes, { algorithm: 'sha-256' })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error.errors.map(({ index }) => index)).to.eql([0, 2])
+    expect(error.errors[1].reason).to.equal('must be 64 characters for sha-256, got 66')
+    mockResponses.forEach(mock => expect(mock.isDone()).to.be.false)
+  })
+
   it('should reject invalid uris arg', async () => {
     let bigArray, notArray, invalidUri
 
@@ -131,4 +145,193 @@ describe('submitHashes', () => {
     // confirm all are valid proof handles
     testHandles.forEach(handle => expect(proofs.isValidProofHandle(handle)).to.be.true)
   })
+  describe('batching', () => {
+    let largeHashes, requestSizes
+    beforeEach(() => {
+      nock.cleanAll()
+      requestSizes = []
+      largeHashes = range(601).map(i => i.toString(16).padStart(64, '0'))
+      // reply to every submission with a proof id for each hash in the request body
+      nodes.forEach(uri =>
+        nock(uri)
+          .persist()
+          .post('/hashes')
+          .reply(200, (path, body) => {
+            requestSizes.push(body.hashes.length)
+            return {
+              meta: {},
+              hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() }))
+            }
+          })
+      )
+    })
+
+    it('should accept more than 250 hashes', async () => {
+      let handles = await submitHashes(largeHashes)
+      expect(handles).to.have.lengthOf(largeHashes.length * nodes.length)
+    })
+
+    it('should split hashes into batches no larger than the batchSize option', async () => {
+      await submitHashes(largeHashes)
+      expect(requestSizes.sort()).to.eql([101, 101, 250, 250, 250, 250])
+
+      requestSizes = []
+      await submitHashes(largeHashes.slice(0, 10), nodes, { batchSize: 4 })
+      expect(requestSizes.sort()).to.eql([2, 2, 4, 4, 4, 4])
+    })
+
+    it('should reject invalid batchSize and concurrency options', async () => {
+      let badBatchSize, badConcurrency
+      try {
+        await submitHashes(hashes, nodes, { batchSize: 251 })
+      } catch (e) {
+        badBatchSize = e.message
+      }
+      expect(badBatchSize).to.have.string('batchSize')
+
+      try {
+        await submitHashes(hashes, nodes, { concurrency: 0 })
+      } catch (e) {
+        badConcurrency = e.message
+      }
+      expect(badConcurrency).to.have.string('concurrency')
+    })
+
+    it('should return handles in input order with a consistent groupId per hash', async () => {
+      let handles = await submitHashes(largeHashes, nodes, { batchSize: 100, concurrency: 3 })
+
+      nodes.forEach(uri => {
+        let nodeHandles = handles.filter(handle => handle.uri === uri)
+        expect(nodeHandles.map(handle => handle.hash)).to.eql(largeHashes)
+      })
+
+      let groupIds = largeHashes.map(hash => {
+        let hashGroupIds = uniq(handles.filter(handle => handle.hash === hash).map(handle => handle.groupId))
+        expect(hashGroupIds, `handles for ${hash} should share one groupId`).to.have.lengthOf(1)
+        return hashGroupIds[0]
+      })
+      expect(uniq(groupIds)).to.have.lengthOf(largeHashes.length)
+    })
+
+    it('should not submit any more batches once one has failed', async () => {
+      nock.cleanAll()
+      let requests = 0
+      nock(nodes[0])
+        .persist()
+        .post('/hashes')
+        .delay(20)
+        .reply(() => {
+          requests++
+          if (requests === 1) return [500, { code: 'InternalError', message: 'something went wrong' }]
+          return [200, { meta: {}, hashes: [{ hash: largeHashes[0], proof_id: uuidv1() }] }]
+        })
+
+      let failed
+      try {
+        await submitHashes(largeHashes.slice(0, 6), [nodes[0]], { batchSize: 1, concurrency: 2 })
+      } catch (e) {
+        failed = true
+      }
+      // give any batch that was wrongly started time to be sent
+      await new Promise(resolve => setTimeout(resolve, 100))
+
+      expect(failed).to.be.true
+      expect(requests).to.equal(2)
+    })
+  })
+  describe('submitHashesSettled', () => {
+    let [goodNode, badNode] = nodes
+    beforeEach(() => {
+      nock.cleanAll()
+      sinon.stub(console, 'error')
+      nock(goodNode)
+        .persist()
+        .post('/hashes')
+        .reply(200, submitHashesResp[0])
+      nock(badNode)
+        .persist()
+        .post('/hashes')
+        .reply(500, { code: 'InternalError', message: 'something went wrong' })
+    })
+
+    it('should return handles from the Nodes that succeeded and an error for each Node that failed', async () => {
+      let { proofHandles, errors, failedBatches } = await submitHashesSettled(hashes, nodes)
+
+      expect(proofHandles).to.have.lengthOf(submitHashesResp[0].hashes.length)
+      proofHandles.forEach(handle => expect(handle.uri).to.equal(goodNode))
+      expect(errors).to.eql([{ uri: badNode, status: 500, message: 'something went wrong', batch: 0 }])
+      expect(failedBatches).to.be.empty
+    })
+
+    it('should report Nodes that could not be reached', async () => {
+      nock.cleanAll()
+      nock(goodNode)
+        .post('/hashes')
+        .reply(200, submitHashesResp[0])
+      nock(badNode)
+        .post('/hashes')
+        .replyWithError('connection refused')
+
+      let { errors } = await submitHashesSettled(hashes, nodes)
+      expect(errors).to.have.lengthOf(1)
+      expect(errors[0].uri).to.equal(badNode)
+      expect(errors[0].status).to.be.null
+      expect(errors[0].message).to.have.string('connection refused')
+    })
+
+    it('should report each batch accepted by fewer than minNodes and keep the handles from other batches', async () => {
+      nock.cleanAll()
+      let reply = (path, body) => ({ meta: {}, hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() })) })
+      nock(goodNode)
+        .persist()
+        .post('/hashes')
+        .reply(200, reply)
+      // the second Node only fails the first batch
+      nock(badNode)
+        .post('/hashes')
+        .reply(500, { code: 'InternalError', message: 'something went wrong' })
+        .post('/hashes')
+        .reply(200, reply)
+
+      let { proofHandles, errors, failedBatches } = await submitHashesSettled(hashes.slice(0, 2), nodes, {
+        minNodes: 2,
+        batchSize: 1,
+        concurrency: 1
+      })
+
+      expect(proofHandles.map(handle => handle.hash)).to.eql([hashes[1], hashes[1]])
+      expect(errors).to.eql([{ uri: badNode, status: 500, message: 'something went wrong', batch: 0 }])
+      expect(failedBatches).to.eql([
+        { batch: 0, hashes: [hashes[0]], message: 'Only 1 of 2 Nodes accepted the hashes, at least 2 required' }
+      ])
+    })
+
+    it('should reject a minNodes option larger than the number of Nodes', async () => {
+      let error
+      try {
+        await submitHashesSettled(hashes, nodes, { minNodes: 3 })
+      } catch (e) {
+        error = e.message
+      }
+      expect(error).to.have.string('minNodes')
+    })
+
+    it('should still throw on any failed Node with submitHashes', async () => {
+      nock.cleanAll()
+      nock(goodNode)
+        .post('/hashes')
+        .reply(200, submitHashesResp[0])
+      nock(badNode)
+        .post('/hashes')
+        .replyWithError('connection refused')
+
+      let failed
+      try {
+        await submitHashes(hashes, nodes)
+      } catch (e) {
+        failed = true
+      }
+      expect(failed).to.be.true
+    })
+  })
 })
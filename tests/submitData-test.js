@@ -0,0 +1,98 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { expect } from 'chai'
+import sinon from 'sinon'
+import nock from 'nock'
+import uuidv1 from 'uuid/v1'
+
+import * as submit from '../lib/submit'
+import submitData from '../lib/submitData'
+import { hashing } from '../lib/utils'
+import nodes from './data/nodes'
+
+describe('submitData', () => {
+  let items
+  beforeEach(() => {
+    items = ['some text', Buffer.from('a buffer'), new Uint8Array([1, 2, 3]), 'some text']
+    sinon.spy(submit, 'submitHashes')
+    nodes.forEach(uri =>
+      nock(uri)
+        .persist()
+        .post('/hashes')
+        .reply(200, (path, body) => ({
+          meta: {},
+          hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() }))
+        }))
+    )
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    sinon.restore()
+  })
+
+  it('should reject invalid arguments', async () => {
+    let notArray, emptyArray, badAlgorithm
+
+    try {
+      await submitData('not an array', { uris: nodes })
+    } catch (e) {
+      notArray = true
+    }
+    expect(notArray, 'Should have thrown with a non-array arg').to.be.true
+
+    try {
+      await submitData([], { uris: nodes })
+    } catch (e) {
+      emptyArray = true
+    }
+    expect(emptyArray, 'Should have thrown with an empty array').to.be.true
+
+    try {
+      await submitData(items, { uris: nodes, algorithm: 'md5' })
+    } catch (e) {
+      badAlgorithm = true
+    }
+    expect(badAlgorithm, 'Should have thrown with an unsupported algorithm').to.be.true
+  })
+
+  it('should submit the digest of each item with sha-256 by default', async () => {
+    let hashes = await Promise.all(items.map(item => hashing.hashData(item, 'sha-256')))
+    await submitData(items, { uris: nodes })
+    expect(submit.submitHashes.calledOnce).to.be.true
+    expect(submit.submitHashes.firstCall.args[0]).to.eql(hashes)
+    expect(submit.submitHashes.firstCall.args[1]).to.eql(nodes)
+  })
+
+  it('should record the algorithm and item index on each proof handle', async () => {
+    let algorithm = 'blake2b-512'
+    let hashes = await Promise.all(items.map(item => hashing.hashData(item, algorithm)))
+    let proofHandles = await submitData(items, { uris: nodes, algorithm })
+
+    expect(proofHandles).to.have.lengthOf(items.length * nodes.length)
+    proofHandles.forEach(handle => {
+      expect(handle.algorithm).to.equal(algorithm)
+      expect(handle.hash).to.equal(hashes[handle.index])
+    })
+    // identical items should still map to their own index
+    expect(proofHandles.filter(handle => handle.index === 0)).to.have.lengthOf(nodes.length)
+    expect(proofHandles.filter(handle => handle.index === 3)).to.have.lengthOf(nodes.length)
+  })
+
+  it('should pass other options through to submitHashes', async () => {
+    let proofHandles = await submitData(items, { uris: nodes, batchSize: 2, concurrency: 1 })
+    expect(submit.submitHashes.firstCall.args[2]).to.eql({ batchSize: 2, concurrency: 1 })
+    proofHandles.forEach(handle => expect(handle).to.have.property('index'))
+  })
+})
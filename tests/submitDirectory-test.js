@@ -0,0 +1,138 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'bfile'
+import path from 'path'
+import crypto from 'crypto'
+import { expect } from 'chai'
+import sinon from 'sinon'
+import nock from 'nock'
+import uuidv1 from 'uuid/v1'
+
+import * as submit from '../lib/submit'
+import submitDirectory from '../lib/submitDirectory'
+import { helpers } from '../lib/utils'
+import nodes from './data/nodes'
+
+describe('submitDirectory', () => {
+  let testPath, outsidePath, contents
+  before(async () => {
+    testPath = '/tmp/chainpoint_dir_test'
+    outsidePath = '/tmp/chainpoint_dir_test_outside'
+    contents = {
+      'a.txt': 'same content',
+      'b.log': 'log content',
+      '.hidden': 'hidden content',
+      'sub/c.txt': 'same content',
+      'sub/deeper/d.txt': 'deep content'
+    }
+    await fs.mkdirp(path.resolve(testPath, 'sub/deeper'))
+    await fs.mkdirp(outsidePath)
+    Object.keys(contents).forEach(file => fs.writeFileSync(path.resolve(testPath, file), contents[file]))
+    fs.writeFileSync(path.resolve(outsidePath, 'linked.txt'), 'linked content')
+    fs.symlinkSync(outsidePath, path.resolve(testPath, 'link'))
+    // a link back to the root should not cause an endless walk
+    fs.symlinkSync(testPath, path.resolve(testPath, 'sub/loop'))
+  })
+
+  after(async () => {
+    await fs.remove(testPath)
+    await fs.remove(outsidePath)
+  })
+
+  beforeEach(() => {
+    sinon.spy(submit, 'submitHashes')
+    nodes.forEach(uri =>
+      nock(uri)
+        .persist()
+        .post('/hashes')
+        .reply(200, (uri, body) => ({
+          meta: {},
+          hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() }))
+        }))
+    )
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    sinon.restore()
+  })
+
+  describe('walkDirectory', () => {
+    it('should list files relative to the root and skip symlinks by default', async () => {
+      let files = await helpers.walkDirectory(testPath)
+      expect(files).to.have.members(Object.keys(contents))
+    })
+
+    it('should follow symlinks without walking in circles', async () => {
+      let files = await helpers.walkDirectory(testPath, { followSymlinks: true })
+      expect(files).to.have.members([...Object.keys(contents), 'link/linked.txt'])
+    })
+
+    it('should throw if root is not a directory', async () => {
+      let notDirectory
+      try {
+        await helpers.walkDirectory(path.resolve(testPath, 'a.txt'))
+      } catch (e) {
+        notDirectory = true
+      }
+      expect(notDirectory, 'Should have thrown for a file').to.be.true
+    })
+  })
+
+  it('should return a manifest mapping each relative path to its proof handles', async () => {
+    let manifest = await submitDirectory(testPath, { uris: nodes })
+
+    expect(manifest.root).to.equal(testPath)
+    expect(Object.keys(manifest.files)).to.have.members(Object.keys(contents))
+    Object.keys(contents).forEach(file => {
+      let hash = crypto
+        .createHash('sha256')
+        .update(contents[file], 'utf8')
+        .digest('hex')
+      let handles = manifest.files[file]
+      expect(handles).to.have.lengthOf(nodes.length)
+      handles.forEach(handle => {
+        expect(handle.hash).to.equal(hash)
+        expect(handle.path).to.equal(path.resolve(testPath, file))
+      })
+    })
+  })
+
+  it('should give files with identical contents their own proof handles', async () => {
+    let { files } = await submitDirectory(testPath, { uris: nodes })
+    let aIds = files['a.txt'].map(handle => handle.proofId)
+    let cIds = files['sub/c.txt'].map(handle => handle.proofId)
+    expect(aIds).to.not.have.members(cIds)
+  })
+
+  it('should only submit files matching include and not matching exclude patterns', async () => {
+    let { files } = await submitDirectory(testPath, {
+      uris: nodes,
+      include: '**/*.txt',
+      exclude: ['sub/deeper/**']
+    })
+    expect(Object.keys(files)).to.have.members(['a.txt', 'sub/c.txt'])
+  })
+
+  it('should pass other options on to submitHashes', async () => {
+    await submitDirectory(testPath, { uris: nodes, include: '*.txt', batchSize: 10 })
+    expect(submit.submitHashes.firstCall.args[2]).to.eql({ batchSize: 10 })
+  })
+
+  it('should not submit anything when no files match', async () => {
+    let manifest = await submitDirectory(testPath, { uris: nodes, include: '*.nothing' })
+    expect(manifest.files).to.eql({})
+    expect(submit.submitHashes.called).to.be.false
+  })
+})
@@ -16,11 +16,15 @@ import path from 'path'
 import crypto from 'crypto'
 import { expect } from 'chai'
 import sinon from 'sinon'
+import nock from 'nock'
+import uuidv1 from 'uuid/v1'
 
 import * as submit from '../lib/submit'
 import submitFileHashes from '../lib/submitFiles'
 import { helpers } from '../lib/utils'
 import nodes from './data/nodes'
+import { FakeBlob } from './helpers'
+const { AbortController } = require('abortcontroller-polyfill/dist/cjs-ponyfill')
 
 describe('submitFileHashes', () => {
   let testPath, file1, file2, content1, content2, hash1, hash2, spy, hashes, paths
@@ -79,4 +83,68 @@ describe('submitFileHashes', () => {
       expect(handle.path).to.be.oneOf(paths)
     })
   })
+  it('should give files with identical contents their own path', async () => {
+    let copy = path.resolve(testPath, 'copy.txt')
+    fs.writeFileSync(copy, content1)
+    nodes.forEach(uri =>
+      nock(uri)
+        .post('/hashes')
+        .reply(200, (uri, body) => ({
+          meta: {},
+          hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() }))
+        }))
+    )
+
+    let proofHandles = await submitFileHashes([file1, copy], nodes)
+    nock.cleanAll()
+
+    expect(proofHandles.filter(handle => handle.path === file1)).to.have.lengthOf(nodes.length)
+    expect(proofHandles.filter(handle => handle.path === copy)).to.have.lengthOf(nodes.length)
+  })
+  it('should accept Files and return handles with their name, size and lastModified', async () => {
+    let file = new FakeBlob(content1, { name: 'file1.txt', lastModified: 1546300800000 })
+    nodes.forEach(uri =>
+      nock(uri)
+        .post('/hashes')
+        .reply(200, (uri, body) => ({
+          meta: {},
+          hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() }))
+        }))
+    )
+
+    let proofHandles = await submitFileHashes([file, file2], nodes)
+    nock.cleanAll()
+
+    expect(spy.withArgs([hash1, hash2], nodes).called).to.be.true
+    let fileHandles = proofHandles.filter(handle => handle.hash === hash1)
+    expect(fileHandles).to.have.lengthOf(nodes.length)
+    fileHandles.forEach(handle => {
+      expect(handle).to.not.have.property('path')
+      expect(handle).to.include({ name: 'file1.txt', size: file.size, lastModified: 1546300800000 })
+    })
+    proofHandles.filter(handle => handle.hash === hash2).forEach(handle => expect(handle.path).to.equal(file2))
+  })
+  it('should pass progress options to getFileHashes and other options to submitHashes', async () => {
+    sinon.stub(helpers, 'getFileHashes').resolves([{ path: file1, hash: hash1 }])
+    spy.restore()
+    spy = sinon.stub(submit, 'submitHashes').resolves([])
+    let onProgress = () => {}
+    await submitFileHashes([file1], nodes, { onProgress, batchSize: 10 })
+
+    expect(helpers.getFileHashes.firstCall.args[1]).to.eql({ onProgress, emitter: undefined, signal: undefined })
+    expect(spy.firstCall.args[2]).to.eql({ batchSize: 10 })
+  })
+  it('should not submit anything when cancelled', async () => {
+    let controller = new AbortController()
+    controller.abort()
+    let error
+    try {
+      await submitFileHashes(paths, nodes, { signal: controller.signal })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error.name).to.equal('AbortError')
+    expect(spy.called).to.be.false
+  })
 })
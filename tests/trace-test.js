@@ -0,0 +1,114 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import crypto from 'crypto'
+import { cloneDeep } from 'lodash'
+
+import { traceProof, traceProofs, evaluateProofs, convertProof } from '../index'
+import btcProof from './data/btc-proof.json'
+
+// Get every step of every branch in a trace
+function allSteps(branches) {
+  return branches.reduce((steps, branch) => steps.concat(branch.steps, allSteps(branch.branches || [])), [])
+}
+
+// Get every anchor in a trace, in the same order as evaluateProofs()
+function allAnchors(branches) {
+  return branches.reduce(
+    (anchors, branch) =>
+      anchors.concat(
+        ...branch.steps.filter(step => step.op === 'anchors').map(step => step.anchors),
+        allAnchors(branch.branches || [])
+      ),
+    []
+  )
+}
+
+describe('traceProof', () => {
+  it('should trace every op from the hash to each anchor', () => {
+    let trace = traceProof(convertProof(btcProof, 'base64'))
+    let [calBranch] = trace.branches
+
+    expect(trace).to.include({ hash: btcProof.hash, proof_id: btcProof.proof_id })
+    expect(calBranch).to.include({ label: 'cal_anchor_branch', start: btcProof.hash })
+    expect(calBranch.steps[0].input).to.equal(btcProof.hash)
+    // each step starts from the output of the one before it
+    calBranch.steps.slice(1).forEach((step, i) => expect(step.input).to.equal(calBranch.steps[i].output))
+    expect(calBranch.branches[0].start).to.equal(calBranch.steps[calBranch.steps.length - 1].output)
+
+    let evaluated = evaluateProofs([btcProof])
+    expect(allAnchors(trace.branches).map(anchor => anchor.expected_value)).to.eql(
+      evaluated.map(anchor => anchor.expected_value)
+    )
+  })
+
+  it('should record steps that can be replayed independently', () => {
+    let steps = allSteps(traceProof(btcProof).branches)
+
+    steps.forEach(step => {
+      let input = Buffer.from(step.input, 'hex')
+      let expected
+      if (step.op === 'l' || step.op === 'r') {
+        let operand = Buffer.from(step.operand, step.encoding)
+        expected = step.op === 'l' ? Buffer.concat([operand, input]) : Buffer.concat([input, operand])
+      } else if (step.op === 'sha-256') {
+        expected = crypto
+          .createHash('sha256')
+          .update(input)
+          .digest()
+      } else if (step.op === 'sha-256-x2') {
+        expected = crypto
+          .createHash('sha256')
+          .update(
+            crypto
+              .createHash('sha256')
+              .update(input)
+              .digest()
+          )
+          .digest()
+      } else {
+        expected = input
+      }
+      expect(step.output).to.equal(expected.toString('hex'))
+    })
+    expect(steps.map(step => step.op)).to.include.members(['l', 'r', 'sha-256', 'sha-256-x2', 'anchors'])
+  })
+
+  it('should be exportable as JSON', () => {
+    let trace = traceProof(btcProof)
+
+    expect(JSON.parse(JSON.stringify(trace))).to.eql(JSON.parse(JSON.stringify(trace, null, 2)))
+    expect(JSON.parse(JSON.stringify(trace)).branches[0].steps).to.eql(trace.branches[0].steps)
+  })
+
+  it('should show where a tampered proof diverges', () => {
+    let tampered = cloneDeep(btcProof)
+    tampered.branches[0].ops[2] = { r: 'ab'.repeat(32) }
+
+    let original = traceProof(btcProof).branches[0].steps
+    let steps = traceProof(tampered).branches[0].steps
+
+    expect(steps[1]).to.eql(original[1])
+    expect(steps[2].output).to.not.equal(original[2].output)
+  })
+
+  it('should reject invalid proofs', () => {
+    let invalid = cloneDeep(btcProof)
+    delete invalid.hash
+
+    expect(() => traceProof('foo')).to.throw('unknown proof format')
+    expect(() => traceProof(invalid)).to.throw()
+    expect(() => traceProofs([btcProof, 'foo'])).to.throw('proofs[1] could not be traced : unknown proof format')
+    expect(traceProofs([btcProof])).to.eql([traceProof(btcProof)])
+  })
+})
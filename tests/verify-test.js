@@ -72,19 +72,16 @@ describe('verifyProofs', function() {
     expect(nock.isDone()).to.be.true
   })
 
-  it('should throw if no hashes found/returned', async () => {
+  it('should report anchors without hashes found/returned as anchor_unavailable', async () => {
     nock(uri)
       .get(`/calendar/${evaluatedProof['anchor_id']}/data`)
       .reply(200)
 
-    let noHashFound
-    try {
-      await verifyProofs(proof, uri)
-    } catch (e) {
-      if (e.message.match('No hashes')) noHashFound = true
-    }
+    let verified = await verifyProofs(proof, uri)
 
-    expect(noHashFound, 'should have thrown when no hashes found').to.be.true
+    expect(verified[0].status).to.equal('anchor_unavailable')
+    expect(verified[0].verified).to.be.false
+    expect(verified[0].error.message).to.have.string('No value was found')
   })
 
   it('should return proofs with properties indicated if and when the hash was verified', async () => {
@@ -95,6 +92,7 @@ describe('verifyProofs', function() {
     let verified = await verifyProofs(proof, uri)
     let now = new Date()
     expect(verified[0].verified).to.be.true
+    expect(verified[0].status).to.equal('verified')
     expect(verified[0].verifiedAt).exist
 
     expect(new Date(verified[0].verifiedAt)).to.be.at.most(now)
@@ -0,0 +1,176 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import path from 'path'
+import { cloneDeep } from 'lodash'
+
+import { verifyBitcoinAnchors, verifyBitcoinTxs, createEsploraSource, createHeadersFileSource } from '../index'
+import btcProof from './data/btc-proof.json'
+
+describe('verifyBitcoinAnchors', () => {
+  // the block the btc anchor in btc-proof.json is anchored to
+  let height = 503275
+  let merkleRoot = '01802a290ca1d97b4d633ae615fabd9bbec41e096dc7c196b98f1572337a6620'
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('should require a header source', async () => {
+    let error
+    try {
+      await verifyBitcoinAnchors([btcProof], {})
+    } catch (e) {
+      error = e.message
+    }
+    expect(error).to.have.string('getBlockHeader method')
+  })
+
+  it('should pass a btc anchor that matches the merkle root of its block', async () => {
+    let results = await verifyBitcoinAnchors([btcProof], {
+      getBlockHeader: async blockHeight => (blockHeight === height ? { merkleroot: merkleRoot } : null)
+    })
+
+    // only the btc anchor is checked
+    expect(results).to.have.lengthOf(1)
+    expect(results[0]).to.include({
+      type: 'btc',
+      anchorId: String(height),
+      merkleRoot,
+      status: 'verified',
+      verified: true,
+      source: 'bitcoin'
+    })
+    expect(results[0].verifiedAt).to.exist
+    expect(results[0].error).to.be.undefined
+  })
+
+  it('should fail a btc anchor that does not match the merkle root of its block', async () => {
+    let [result] = await verifyBitcoinAnchors([btcProof], {
+      getBlockHeader: async () => ({ merkleroot: 'ab'.repeat(32) })
+    })
+
+    expect(result).to.include({ merkleRoot: 'ab'.repeat(32), status: 'mismatch', verified: false, verifiedAt: null })
+  })
+
+  it('should fail anchors whose block could not be looked up', async () => {
+    let [missing] = await verifyBitcoinAnchors([btcProof], { getBlockHeader: async () => null })
+    let [failed] = await verifyBitcoinAnchors([btcProof], {
+      getBlockHeader: async () => {
+        throw new Error('connection refused')
+      }
+    })
+
+    expect(missing).to.include({ merkleRoot: null, status: 'anchor_unavailable', verified: false })
+    expect(missing.error.message).to.equal(`No value was found for btc anchor ${height}`)
+    expect(failed).to.include({ status: 'lookup_error', verified: false })
+    expect(failed.error.message).to.equal('connection refused')
+  })
+
+  it('should verify against a local Esplora stub', async () => {
+    let uri = 'http://127.0.0.1:3000'
+    nock(uri)
+      .get(`/block-height/${height}`)
+      .reply(200, 'ab'.repeat(32))
+      .get(`/block/${'ab'.repeat(32)}`)
+      .reply(200, { height, merkle_root: merkleRoot })
+
+    let [result] = await verifyBitcoinAnchors([btcProof, btcProof], createEsploraSource(uri))
+
+    expect(result.verified).to.be.true
+    expect(nock.isDone()).to.be.true
+  })
+})
+
+describe('verifyBitcoinTxs', () => {
+  let headerSource, btcOps
+
+  // the ops of the btc anchor branch in a copy of btc-proof.json
+  function tamperedProof(tamper) {
+    let proof = cloneDeep(btcProof)
+    tamper(proof.branches[0].branches[0].ops)
+    return proof
+  }
+
+  before(() => {
+    headerSource = createHeadersFileSource(path.resolve(__dirname, 'data/btc-headers.json'))
+    btcOps = btcProof.branches[0].branches[0].ops
+  })
+
+  it('should pass every check of a proof anchored to Bitcoin', async () => {
+    let [result] = await verifyBitcoinTxs([btcProof], { headerSource })
+
+    expect(result).to.include({ proofId: btcProof.proof_id, status: 'passed', blockHeight: 503275 })
+    expect(result.checks.tx).to.include({ status: 'passed', txid: result.btcTxId })
+    expect(result.checks.opReturn).to.include({ status: 'passed', opReturnValue: result.opReturnValue })
+    expect(result.checks.merklePath).to.include({ status: 'passed', merkleRoot: result.expectedValue, depth: 11 })
+    expect(result.checks.blockHeader).to.include({ status: 'passed', blockHeight: 503275 })
+  })
+
+  it('should skip the block header check without a header source', async () => {
+    let [result] = await verifyBitcoinTxs([btcProof])
+
+    expect(result.status).to.equal('passed')
+    expect(result.checks.blockHeader).to.eql({ status: 'skipped' })
+  })
+
+  it('should fail the checks of a transaction that does not commit to the calendar root', async () => {
+    // the transaction prefix ends with the OP_RETURN script before the calendar root, which is changed to OP_NOP
+    let txStart = btcOps.findIndex(op => op.op === 'sha-256-x2') - 2
+    let proof = tamperedProof(ops => (ops[txStart] = { l: ops[txStart].l.replace(/6a20$/, '6120') }))
+    let [result] = await verifyBitcoinTxs([proof], { headerSource })
+
+    expect(result.status).to.equal('failed')
+    expect(result.checks.tx.status).to.equal('passed')
+    expect(result.checks.opReturn.status).to.equal('failed')
+    expect(result.checks.opReturn.error.message).to.equal('transaction does not have an OP_RETURN output')
+    expect(result.checks.merklePath.status).to.equal('passed')
+    expect(result.checks.blockHeader.error.message).to.have.string('block 503275 has merkle root')
+  })
+
+  it('should fail each check on its own', async () => {
+    let txEnd = btcOps.findIndex(op => op.op === 'sha-256-x2') - 1
+    let truncated = tamperedProof(ops => (ops[txEnd] = { r: ops[txEnd].r.slice(0, -8) }))
+    let badPath = tamperedProof(ops => (ops[txEnd + 2] = { l: 'not a hash' }))
+
+    let [truncatedResult, badPathResult] = await verifyBitcoinTxs([truncated, badPath], { headerSource })
+
+    expect(truncatedResult.checks.tx.error.message).to.equal('raw transaction is truncated')
+    expect(truncatedResult.checks.opReturn).to.eql({ status: 'skipped' })
+    expect(truncatedResult.checks.merklePath.status).to.equal('passed')
+    expect(truncatedResult.checks.blockHeader.status).to.equal('failed')
+
+    expect(badPathResult.checks.tx.status).to.equal('passed')
+    expect(badPathResult.checks.opReturn.status).to.equal('passed')
+    expect(badPathResult.checks.merklePath.error.message).to.have.string('merkle path op 0')
+    expect(badPathResult.checks.blockHeader).to.eql({ status: 'skipped' })
+  })
+
+  it('should give calendar only proofs the no_btc_anchor status', async () => {
+    let calProof = cloneDeep(btcProof)
+    delete calProof.branches[0].branches
+
+    expect(await verifyBitcoinTxs([calProof])).to.eql([{ proofId: btcProof.proof_id, status: 'no_btc_anchor' }])
+  })
+
+  it('should reject an invalid header source', async () => {
+    let error
+    try {
+      await verifyBitcoinTxs([btcProof], { headerSource: {} })
+    } catch (e) {
+      error = e.message
+    }
+    expect(error).to.have.string('headerSource option')
+  })
+})
@@ -0,0 +1,186 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import crypto from 'crypto'
+import path from 'path'
+import fs from 'bfile'
+import sinon from 'sinon'
+import nock from 'nock'
+import uuidv1 from 'uuid/v1'
+import { cloneDeep } from 'lodash'
+
+import { verifyData, verifyFiles, convertProof, submitData } from '../index'
+import btcProof from './data/btc-proof.json'
+import nodes from './data/nodes'
+
+// A copy of btc-proof.json for a piece of data, hashed with an algorithm
+function proofFor(data, algorithm = 'sha256') {
+  let proof = cloneDeep(btcProof)
+  proof.hash = crypto
+    .createHash(algorithm)
+    .update(data)
+    .digest('hex')
+  return proof
+}
+
+describe('verifyData', () => {
+  let resolve, options
+
+  beforeEach(() => {
+    // confirm every anchor's expected value, as the proofs are not the ones the calendar has
+    resolve = sinon.fake(async anchor => anchor.expected_value)
+    options = { resolvers: [{ resolve }] }
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+  })
+
+  it('should verify a proof against the data it is for', async () => {
+    let result = await verifyData(convertProof(proofFor('hello world'), 'base64'), Buffer.from('hello world'), options)
+
+    expect(result).to.include({ status: 'verified', verified: true, algorithm: 'sha-256' })
+    expect(result.hash).to.equal(result.proofHash)
+    expect(result.anchors.map(anchor => anchor.status)).to.eql(['verified', 'verified'])
+  })
+
+  it('should hash Strings with the encoding option as data the same as submitData', async () => {
+    nock(nodes[0])
+      .post('/hashes')
+      .reply(200, (path, body) => ({ meta: {}, hashes: body.hashes.map(hash => ({ hash, proof_id: uuidv1() })) }))
+    let [handle] = await submitData(['héllo wörld'], { uris: [nodes[0]] })
+    let proof = cloneDeep(btcProof)
+    proof.hash = handle.hash
+
+    let result = await verifyData(proof, 'héllo wörld', { ...options, encoding: 'utf8' })
+
+    expect(result).to.include({ status: 'verified', hash: handle.hash })
+  })
+
+  it('should not look up the anchors of a proof for other data', async () => {
+    let result = await verifyData(proofFor('hello world'), Buffer.from('goodbye world'), options)
+
+    expect(result).to.include({ status: 'hash_mismatch', verified: false })
+    expect(result.anchors).to.be.empty
+    expect(resolve.called).to.be.false
+  })
+
+  it('should hash with other algorithms', async () => {
+    let proof = proofFor('hello world', 'sha3-256')
+
+    expect((await verifyData(proof, Buffer.from('hello world'), options)).status).to.equal('hash_mismatch')
+    expect(await verifyData(proof, Buffer.from('hello world'), { ...options, algorithm: 'sha3-256' })).to.include({
+      status: 'verified',
+      algorithm: 'sha3-256'
+    })
+  })
+
+  it('should report anchors that mismatch or could not be looked up', async () => {
+    let proof = proofFor('hello world')
+    let data = Buffer.from('hello world')
+
+    let result = await verifyData(proof, data, { resolvers: [{ resolve: async () => 'ab'.repeat(32) }] })
+    expect(result).to.include({ status: 'anchor_mismatch', verified: false })
+
+    result = await verifyData(proof, data, { resolvers: [{ resolve: async () => null }] })
+    expect(result).to.include({ status: 'anchors_unavailable', verified: false })
+  })
+
+  it('should reject invalid arguments', async () => {
+    let errors = []
+    let badArgs = [
+      ['foo', 'bar'],
+      [btcProof, 'bar', { algorithm: 'md5' }],
+      [btcProof, {}],
+      [btcProof, { path: '' }],
+      [btcProof, 'bar', { encoding: 'ebcdic' }]
+    ]
+    for (let args of badArgs) {
+      try {
+        await verifyData(...args)
+      } catch (e) {
+        errors.push(e.message)
+      }
+    }
+
+    expect(errors[0]).to.equal('unknown proof format')
+    expect(errors[1]).to.have.string('algorithm must be one of')
+    expect(errors[2]).to.have.string('data must be')
+    expect(errors[3]).to.equal('content path must be a non-empty String')
+    expect(errors[4]).to.have.string('encoding option')
+  })
+
+  describe('verifyFiles', () => {
+    let testPath
+
+    before(async () => {
+      testPath = '/tmp/chainpoint_verify_data_test'
+      await fs.mkdirp(testPath)
+      fs.writeFileSync(path.resolve(testPath, 'a.txt'), 'file a')
+      fs.writeFileSync(path.resolve(testPath, 'b.txt'), 'file b')
+    })
+
+    after(async () => {
+      await fs.remove(testPath)
+    })
+
+    it('should verify a file from its path', async () => {
+      let filePath = path.resolve(testPath, 'a.txt')
+      let result = await verifyData(proofFor('file a'), { path: filePath }, options)
+
+      expect(result.status).to.equal('verified')
+      expect((await verifyData(proofFor('file a'), filePath, options)).status).to.equal('verified')
+    })
+
+    it('should reject the path of a file that does not exist rather than report a hash mismatch', async () => {
+      let error
+      try {
+        await verifyData(proofFor('file a'), path.resolve(testPath, 'missing.txt'), options)
+      } catch (e) {
+        error = e.code
+      }
+      expect(error).to.equal('ENOENT')
+    })
+
+    it('should give a verdict for each file, looking shared anchors up once', async () => {
+      let results = await verifyFiles(
+        {
+          [path.resolve(testPath, 'a.txt')]: proofFor('file a'),
+          [path.resolve(testPath, 'b.txt')]: proofFor('file a')
+        },
+        options
+      )
+
+      expect(results.map(result => [path.basename(result.path), result.status])).to.eql([
+        ['a.txt', 'verified'],
+        ['b.txt', 'hash_mismatch']
+      ])
+      expect(resolve.callCount).to.equal(2)
+    })
+
+    it('should reject invalid arguments', async () => {
+      let errors = []
+      for (let pathsToProofs of [{}, [], { [path.resolve(testPath, 'missing.txt')]: btcProof }]) {
+        try {
+          await verifyFiles(pathsToProofs, options)
+        } catch (e) {
+          errors.push(e.message)
+        }
+      }
+
+      expect(errors[0]).to.have.string('pathsToProofs arg')
+      expect(errors[1]).to.have.string('pathsToProofs arg')
+      expect(errors[2]).to.have.string('missing.txt could not be verified : ENOENT')
+    })
+  })
+})
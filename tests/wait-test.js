@@ -0,0 +1,160 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import uuidv1 from 'uuid/v1'
+
+import { waitForProofs } from '../index'
+import nodes from './data/nodes'
+
+describe('waitForProofs', () => {
+  let handles, anchors, polls
+
+  beforeEach(() => {
+    handles = [
+      { uri: nodes[0], hash: 'a'.repeat(64), proofId: uuidv1(), groupId: uuidv1() },
+      { uri: nodes[1], hash: 'b'.repeat(64), proofId: uuidv1(), groupId: uuidv1() }
+    ]
+    // anchors_complete returned by the mocked Nodes for each poll, by proofId
+    anchors = {}
+    polls = []
+    nodes.forEach(uri =>
+      nock(uri)
+        .persist()
+        .get('/proofs')
+        .reply(200, function() {
+          let proofIds = String(this.req.headers.hashids).split(',')
+          polls.push(...proofIds)
+          return proofIds.map(proofId => {
+            let anchorsComplete = (anchors[proofId] || []).shift() || []
+            return {
+              proof_id: proofId,
+              proof: anchorsComplete.length ? `proof anchored to ${anchorsComplete.join(',')}` : null,
+              anchors_complete: anchorsComplete
+            }
+          })
+        })
+    )
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    sinon.restore()
+  })
+
+  it('should reject invalid arguments', async () => {
+    let badHandles, badUntil, badBackoff
+
+    try {
+      await waitForProofs([{ foo: 'bar' }])
+    } catch (e) {
+      badHandles = e.message
+    }
+    expect(badHandles).to.have.string('invalid Objects')
+
+    try {
+      await waitForProofs(handles, { until: 'eth' })
+    } catch (e) {
+      badUntil = e.message
+    }
+    expect(badUntil).to.have.string("'cal' or 'btc'")
+
+    try {
+      await waitForProofs(handles, { backoff: 0.5 })
+    } catch (e) {
+      badBackoff = e.message
+    }
+    expect(badBackoff).to.have.string('backoff option')
+    expect(polls).to.be.empty
+  })
+
+  it('should resolve with a proof for each handle once all are calendar anchored', async () => {
+    let [first, second] = handles.map(handle => handle.proofId)
+    anchors[first] = [['cal']]
+    anchors[second] = [[], [], ['cal']]
+
+    let proofs = await waitForProofs(handles, { interval: 5 })
+
+    expect(proofs.map(proof => proof.proofId)).to.eql([first, second])
+    proofs.forEach(proof => expect(proof.anchorsComplete).to.eql(['cal']))
+    // the anchored handle is not polled for again
+    expect(polls).to.eql([first, second, second, second])
+  })
+
+  it('should keep waiting for calendar anchored proofs to reach btc', async () => {
+    let [first, second] = handles.map(handle => handle.proofId)
+    anchors[first] = [['cal'], ['cal', 'btc']]
+    anchors[second] = [['cal'], ['cal'], ['tcal', 'tbtc']]
+
+    let proofs = await waitForProofs(handles, { until: 'btc', interval: 5, backoff: 2 })
+
+    expect(proofs[0].anchorsComplete).to.eql(['cal', 'btc'])
+    expect(proofs[1].anchorsComplete).to.eql(['tcal', 'tbtc'])
+  })
+
+  it('should reject with the pending handles on timeout', async () => {
+    let [first] = handles.map(handle => handle.proofId)
+    anchors[first] = [['cal']]
+
+    let error
+    try {
+      await waitForProofs(handles, { interval: 5, timeout: 30 })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error.message).to.have.string('1 of 2 proofs')
+    expect(error.pending).to.eql([handles[1]])
+    expect(error.proofs[0].anchorsComplete).to.eql(['cal'])
+    expect(error.proofs[1]).to.be.null
+  })
+
+  it('should stop waiting for proofs past the retention period', async () => {
+    // proofs are only kept by Nodes for 24 hours
+    handles[1].proofId = uuidv1({ msecs: Date.now() - 25 * 60 * 60 * 1000 })
+    anchors[handles[0].proofId] = [[], ['cal']]
+
+    let error
+    try {
+      await waitForProofs(handles, { interval: 5 })
+    } catch (e) {
+      error = e
+    }
+
+    expect(error.message).to.have.string('1 of 2 proofs expired')
+    expect(error.expired).to.eql([handles[1]])
+    expect(error.proofs[0].anchorsComplete).to.eql(['cal'])
+    // the expired handle is never requested
+    expect(polls).to.eql([handles[0].proofId, handles[0].proofId])
+  })
+
+  it('should retry after a failed poll', async () => {
+    nock.cleanAll()
+    nodes.forEach(uri =>
+      nock(uri)
+        .get('/proofs')
+        .reply(500)
+        .get('/proofs')
+        .reply(200, function() {
+          return String(this.req.headers.hashids)
+            .split(',')
+            .map(proofId => ({ proof_id: proofId, proof: 'proof', anchors_complete: ['cal'] }))
+        })
+    )
+
+    let proofs = await waitForProofs(handles, { interval: 5 })
+
+    expect(proofs.map(proof => proof.proofId)).to.eql(handles.map(handle => handle.proofId))
+  })
+})
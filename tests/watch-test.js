@@ -0,0 +1,199 @@
+/**
+ * Copyright 2019 Tierion
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { expect } from 'chai'
+import nock from 'nock'
+import sinon from 'sinon'
+import uuidv1 from 'uuid/v1'
+
+import { watchProofs } from '../index'
+import nodes from './data/nodes'
+
+describe('watchProofs', () => {
+  let handles, anchors
+
+  // collect every event from the async iterator until watching ends
+  async function collect(watcher) {
+    let events = []
+    for await (let event of watcher) events.push(event)
+    return events
+  }
+
+  beforeEach(() => {
+    handles = [
+      { uri: nodes[0], hash: 'a'.repeat(64), proofId: uuidv1(), groupId: uuidv1() },
+      { uri: nodes[1], hash: 'b'.repeat(64), proofId: uuidv1(), groupId: uuidv1() }
+    ]
+    // anchors_complete returned by the mocked Nodes for each poll, by proofId.
+    // null means the Node no longer has the proof.
+    anchors = {}
+    nodes.forEach(uri =>
+      nock(uri)
+        .persist()
+        .get('/proofs')
+        .reply(200, function() {
+          return String(this.req.headers.hashids)
+            .split(',')
+            .map(proofId => {
+              let polls = anchors[proofId] || []
+              let anchorsComplete = polls.length > 1 ? polls.shift() : polls[0]
+              return {
+                proof_id: proofId,
+                proof: anchorsComplete && anchorsComplete.length ? `proof ${anchorsComplete.join(',')}` : null,
+                anchors_complete: anchorsComplete || []
+              }
+            })
+        })
+    )
+  })
+
+  afterEach(() => {
+    nock.cleanAll()
+    sinon.restore()
+  })
+
+  it('should reject invalid arguments', () => {
+    expect(() => watchProofs([{ foo: 'bar' }])).to.throw('invalid Objects')
+    expect(() => watchProofs(handles, { until: 'eth' })).to.throw("'cal' or 'btc'")
+    expect(() => watchProofs(handles, { maxFailures: 0 })).to.throw('maxFailures option')
+  })
+
+  it('should yield each stage of every proof in order', async () => {
+    let [first, second] = handles.map(handle => handle.proofId)
+    anchors[first] = [[], ['cal'], ['cal', 'btc']]
+    // more than one stage reached between polls
+    anchors[second] = [['tcal', 'tbtc']]
+
+    let events = await collect(watchProofs(handles, { interval: 5 }))
+    let eventsFor = proofId => events.filter(event => event.handle.proofId === proofId)
+
+    expect(eventsFor(first).map(event => event.type)).to.eql(['submitted', 'calendar-anchored', 'btc-anchored'])
+    expect(eventsFor(first)[0].proof).to.be.null
+    expect(eventsFor(first)[2].proof).to.include({ proofId: first, proof: 'proof cal,btc' })
+    expect(eventsFor(second).map(event => event.type)).to.eql(['submitted', 'calendar-anchored', 'btc-anchored'])
+    expect(eventsFor(second)[2].proof.anchorsComplete).to.eql(['tcal', 'tbtc'])
+  })
+
+  it('should emit events and end once every proof reaches until', async () => {
+    handles.forEach(handle => (anchors[handle.proofId] = [[], ['cal']]))
+    let watcher = watchProofs(handles, { until: 'cal', interval: 5 })
+    let anchored = []
+    watcher.on('calendar-anchored', event => anchored.push(event.handle))
+
+    let end = await new Promise(resolve => watcher.on('end', resolve))
+
+    expect(anchored).to.have.members(handles)
+    expect(end.pending).to.be.empty
+  })
+
+  it('should not keep events for the async iterator when it is not used', async () => {
+    handles.forEach(handle => (anchors[handle.proofId] = [[], ['cal']]))
+    let watcher = watchProofs(handles, { until: 'cal', interval: 5 })
+    let events = []
+    watcher.on('calendar-anchored', event => events.push(event))
+
+    await new Promise(resolve => watcher.on('end', resolve))
+
+    expect(events).to.have.lengthOf(handles.length)
+    // the events that were only listened to were not queued for iteration
+    expect(await collect(watcher)).to.be.empty
+  })
+
+  it('should emit expired when a retrieved proof is no longer available', async () => {
+    let [first, second] = handles.map(handle => handle.proofId)
+    anchors[first] = [['cal'], null]
+    anchors[second] = [['cal', 'btc']]
+
+    let events = await collect(watchProofs(handles, { interval: 5 }))
+    let expired = events.filter(event => event.type === 'expired')
+
+    expect(expired).to.have.lengthOf(1)
+    expect(expired[0].handle).to.equal(handles[0])
+    expect(expired[0].proof.anchorsComplete).to.eql(['cal'])
+  })
+
+  it('should emit expired for handles past the retention period', async () => {
+    // proofs are only kept by Nodes for 24 hours
+    handles[1].proofId = uuidv1({ msecs: Date.now() - 25 * 60 * 60 * 1000 })
+    anchors[handles[0].proofId] = [['cal', 'btc']]
+
+    let events = await collect(watchProofs(handles, { interval: 5 }))
+
+    expect(events.map(event => [event.type, event.handle])).to.deep.include.members([
+      ['expired', handles[1]],
+      ['btc-anchored', handles[0]]
+    ])
+    expect(events.filter(event => event.handle === handles[1])).to.have.lengthOf(1)
+  })
+
+  it('should emit failed for the handles of a Node that keeps failing', async () => {
+    nock.cleanAll()
+    nock(nodes[0])
+      .persist()
+      .get('/proofs')
+      .replyWithError('connection refused')
+    nock(nodes[1])
+      .persist()
+      .get('/proofs')
+      .reply(200, () => [{ proof_id: handles[1].proofId, proof: 'proof', anchors_complete: ['cal', 'btc'] }])
+
+    let events = await collect(watchProofs(handles, { interval: 5, maxFailures: 2 }))
+    let failed = events.filter(event => event.type === 'failed')
+
+    expect(failed).to.have.lengthOf(1)
+    expect(failed[0].handle).to.equal(handles[0])
+    expect(failed[0].error.message).to.have.string('connection refused')
+    expect(events.filter(event => event.type === 'btc-anchored')[0].handle).to.equal(handles[1])
+  })
+
+  it('should end with the pending handles when stopped', async () => {
+    let watcher = watchProofs(handles, { interval: 5 })
+    let events = []
+    let end = new Promise(resolve => watcher.on('end', resolve))
+    for await (let event of watcher) {
+      events.push(event)
+      if (events.length === 2) watcher.stop()
+    }
+
+    expect(events.map(event => event.type)).to.eql(['submitted', 'submitted'])
+    expect((await end).pending).to.have.members(handles)
+  })
+
+  it('should cancel the wait for the next poll when stopped', async () => {
+    let interval = 60 * 60 * 1000
+    let setTimeout = sinon.spy(global, 'setTimeout')
+    let clearTimeout = sinon.spy(global, 'clearTimeout')
+    let watcher = watchProofs(handles, { interval })
+    let events = []
+    for await (let event of watcher) {
+      events.push(event)
+      if (events.length === 2) {
+        // wait for the poll to start waiting for the next one
+        await new Promise(resolve => setImmediate(resolve))
+        watcher.stop()
+      }
+    }
+
+    let wait = setTimeout.getCalls().find(call => call.args[1] === interval)
+    expect(events).to.have.lengthOf(2)
+    expect(clearTimeout.calledWith(wait.returnValue)).to.be.true
+  })
+
+  it('should only allow one async iterator', async () => {
+    let watcher = watchProofs(handles, { interval: 5 })
+    let events = collect(watcher)
+
+    expect(() => watcher[Symbol.asyncIterator]()).to.throw('can only be iterated once')
+    watcher.stop()
+    await events
+  })
+})